@@ -0,0 +1,54 @@
+// Spectrum measurement helpers for Bee Neural Beats
+//
+// Shared by the live analyzer display and anything else that needs to know
+// what the generator is really producing rather than what the sliders say.
+export class SignalAnalysis {
+    // Strongest frequency in a dB spectrum between minFreq and maxFreq, refined
+    // with parabolic interpolation so it resolves well below one FFT bin.
+    static findPeak(spectrum, binWidth, minFreq = 0, maxFreq = Infinity) {
+        const first = Math.max(1, Math.floor(minFreq / binWidth));
+        const last = Math.min(spectrum.length - 2, Math.ceil(maxFreq / binWidth));
+
+        let peakIndex = -1;
+        let peakLevel = -Infinity;
+        for (let i = first; i <= last; i++) {
+            if (spectrum[i] > peakLevel) {
+                peakLevel = spectrum[i];
+                peakIndex = i;
+            }
+        }
+
+        if (peakIndex < 0 || !isFinite(peakLevel)) return null;
+
+        const a = spectrum[peakIndex - 1];
+        const b = spectrum[peakIndex];
+        const c = spectrum[peakIndex + 1];
+        const denominator = a - 2 * b + c;
+        const offset = isFinite(denominator) && denominator !== 0 ? 0.5 * (a - c) / denominator : 0;
+
+        return {
+            frequency: (peakIndex + offset) * binWidth,
+            level: b - 0.25 * (a - c) * offset
+        };
+    }
+
+    static rms(samples) {
+        let sum = 0;
+        for (let i = 0; i < samples.length; i++) {
+            sum += samples[i] * samples[i];
+        }
+        return Math.sqrt(sum / samples.length);
+    }
+
+    static toDecibels(value) {
+        return value > 0 ? 20 * Math.log10(value) : -Infinity;
+    }
+
+    // First rising zero crossing, used to hold the scope trace still
+    static findTrigger(samples, limit = samples.length / 2) {
+        for (let i = 1; i < limit; i++) {
+            if (samples[i - 1] < 0 && samples[i] >= 0) return i;
+        }
+        return 0;
+    }
+}
@@ -0,0 +1,961 @@
+// Headless audio engine for Bee Neural Beats
+//
+// Everything that makes the sound, with no DOM: settings live in `state`,
+// change only through the setters, and every change is announced as an event,
+// so the page is just one consumer and scripts, other UIs or tests can drive
+// the engine the same way. It plays into whatever AudioContext it's given: a
+// live one, an OfflineAudioContext, or a stand-in with the same node
+// factories when running under Node.
+//
+// Events are CustomEvents with their payload in `detail`:
+//   statechange      { changed: [keys] }          any setting except the
+//                    frequencies, plus 'transport' ({ transport, previous })
+//                    and 'program'; single-layer edits also carry `layer` (its id)
+//   frequencychange  { carrier, beat, source }    source is 'set', 'program'
+//                    or whatever a caller passes to trackFrequencies()
+//   tick             { elapsed, session }         once a second while sound plays;
+//                    `session` is the program's statusAt(), or null
+//   error            { error, action }            e.g. action 'play'
+//   graphstart       { graph, fadeTime }          a graph was built, before it starts
+//   graphstop        { stopAt }                   the graph fades out, silent at stopAt
+// graphstart/graphstop let add-ons (analysers, music) ride on the live graph.
+import { Waveforms } from './waveforms.js';
+import { BeatLayers } from './beat-layers.js';
+import { NoiseGenerator } from './noise.js';
+
+/**
+ * @typedef {Object} EngineState
+ * @property {number} carrier  Base carrier in Hz
+ * @property {number} beat  Base beat in Hz
+ * @property {number} volume  Master level, 0-100
+ * @property {'binaural'|'monaural'|'isochronic'} mode
+ * @property {{ duty: number, shape: string }} isochronic  Gate duty cycle (0-1) and pulse shape
+ * @property {{ type: string, harmonics: number[] }} timbre  See Waveforms.timbres
+ * @property {{ muted: boolean, solo: boolean }} base  The base layer's mute and solo
+ * @property {Object[]} layers  Extra beat layers, see BeatLayers
+ * @property {Object} noise  Background layer settings by type, see NoiseGenerator
+ * @property {number} fadeIn  Seconds
+ * @property {number} fadeOut  Seconds
+ */
+
+const clamp = (value, { min, max }) => Math.max(min, Math.min(max, value));
+
+const checkNumber = (name, value) => {
+    if (!Number.isFinite(value)) {
+        throw new Error(`${name} must be a number, got ${value}`);
+    }
+    return value;
+};
+
+// Browsers without StereoPannerNode (older Safari) get the same equal-power
+// pan from a mono input split into two gains and merged as left/right
+const createFallbackPanner = (context, pan, now) => {
+    const input = context.createGain();
+    input.channelCount = 1;
+    input.channelCountMode = 'explicit';
+
+    const merger = context.createChannelMerger(2);
+    const angle = (pan + 1) * Math.PI / 4;
+    [Math.cos(angle), Math.sin(angle)].forEach((level, channel) => {
+        const side = context.createGain();
+        side.gain.setValueAtTime(level, now);
+        input.connect(side);
+        side.connect(merger, 0, channel);
+    });
+
+    return { input, output: merger };
+};
+
+export class AudioEngine extends EventTarget {
+    constructor({ context = null, output = null, state = {} } = {}) {
+        super();
+        this.context = null;
+        this.output = null;
+        /** @type {EngineState} */
+        this.state = AudioEngine.defaults();
+        this.glideTime = 0.05;
+        // Off while something else carries the base beat (the page's music shifter)
+        this.baseTones = true;
+        this.isPlaying = false;
+        this.startTime = null;
+        this.interruptedAt = null;
+        this.tickInterval = null;
+        this.program = null;
+        this.sessionOffset = 0;
+        this.sessionStartTime = null;
+        this.clearGraph();
+
+        if (context) {
+            this.attach(context, output || context.destination);
+        }
+        this.setState(state);
+    }
+
+    static defaults() {
+        return {
+            carrier: 400,
+            beat: 10,
+            volume: 50,
+            mode: 'binaural',
+            isochronic: { duty: 0.5, shape: 'soft' },
+            timbre: { type: 'sine', harmonics: Waveforms.timbres.custom.harmonics.slice() },
+            base: { muted: false, solo: false },
+            layers: [],
+            noise: NoiseGenerator.defaults(),
+            fadeIn: 2,
+            fadeOut: 2
+        };
+    }
+
+    // Setters clamp to these (the page's sliders use the same ranges)
+    static get limits() {
+        return {
+            carrier: { min: 100, max: 1000 },
+            beat: { min: 0.5, max: 100 },
+            volume: { min: 0, max: 100 },
+            fade: { min: 0, max: 10 },
+            duty: { min: 0.1, max: 0.9 }
+        };
+    }
+
+    static get modes() {
+        return BeatLayers.modes;
+    }
+
+    static supportsStereoPanner(context) {
+        return typeof context.createStereoPanner === 'function';
+    }
+
+    // A fixed pan (-1 left to 1 right) as { input, output }, with or without StereoPannerNode
+    static createPanner(context, pan, now = context.currentTime) {
+        if (!AudioEngine.supportsStereoPanner(context)) {
+            return createFallbackPanner(context, pan, now);
+        }
+        const panner = context.createStereoPanner();
+        panner.pan.setValueAtTime(pan, now);
+        return { input: panner, output: panner };
+    }
+
+    // Swapping contexts mid-playback isn't supported; stop first
+    attach(context, output = context.destination) {
+        this.context = context;
+        this.output = output;
+    }
+
+    // 'stopped', 'paused', 'playing' or 'interrupted' (by the system, see interrupt())
+    get transport() {
+        if (this.isPlaying) {
+            return this.interruptedAt !== null ? 'interrupted' : 'playing';
+        }
+        return this.startTime !== null ? 'paused' : 'stopped';
+    }
+
+    // Seconds since play, not counting interruptions
+    get elapsed() {
+        if (!this.isPlaying || this.startTime === null) return 0;
+        const now = this.interruptedAt !== null ? this.interruptedAt : this.context.currentTime;
+        return now - this.startTime;
+    }
+
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    changed(keys, detail = {}) {
+        this.emit('statechange', { changed: keys, ...detail });
+    }
+
+    // A copy of the settings fit for saving: plain data, layers without their ids
+    snapshot() {
+        const state = JSON.parse(JSON.stringify(this.state));
+        state.layers = BeatLayers.snapshot(state.layers);
+        return state;
+    }
+
+    // Apply whichever parts of a saved state are present, in the form presets,
+    // share links and library files use (noise and layers are normalized here)
+    setState(state) {
+        if (state.isochronic) this.setIsochronic(state.isochronic);
+        if (state.mode) this.setMode(state.mode);
+        if (state.timbre) this.setTimbre(state.timbre);
+        if (state.noise) this.setNoise(NoiseGenerator.normalize(state.noise));
+        if (state.layers) this.setLayers(state.layers);
+        if (state.base) this.setBase(state.base);
+        if (state.carrier !== undefined) this.setCarrier(state.carrier);
+        if (state.beat !== undefined) this.setBeat(state.beat);
+        if (state.volume !== undefined) this.setVolume(state.volume);
+        if (state.fadeIn !== undefined || state.fadeOut !== undefined) {
+            this.setFades(state);
+        }
+    }
+
+    setCarrier(carrier) {
+        const value = Math.round(clamp(checkNumber('Carrier', carrier), AudioEngine.limits.carrier) * 100) / 100;
+        this.state.carrier = value;
+        if (this.isPlaying) {
+            this.glideVoices(this.state.beat, value);
+        }
+        this.emit('frequencychange', { carrier: value, beat: this.state.beat, source: 'set' });
+    }
+
+    setBeat(beat) {
+        const value = clamp(checkNumber('Beat', beat), AudioEngine.limits.beat);
+        this.state.beat = value;
+        if (this.isPlaying) {
+            this.glideVoices(value, this.state.carrier);
+        }
+        this.emit('frequencychange', { carrier: this.state.carrier, beat: value, source: 'set' });
+    }
+
+    // Record frequencies something else is already moving the oscillators to
+    // (a program's ramps, the page's sleep drift), without touching them.
+    // They're kept to the sliders' steps, so readouts stay tidy mid-ramp.
+    trackFrequencies(carrier, beat, source) {
+        carrier = Math.round(carrier * 100) / 100;
+        beat = Math.round(beat * 10) / 10;
+        if (carrier === this.state.carrier && beat === this.state.beat) return;
+
+        this.state.carrier = carrier;
+        this.state.beat = beat;
+        this.emit('frequencychange', { carrier, beat, source });
+    }
+
+    setVolume(volume) {
+        this.state.volume = clamp(checkNumber('Volume', volume), AudioEngine.limits.volume);
+        if (this.isPlaying && this.masterGain) {
+            this.rampParam(this.masterGain.gain, this.state.volume / 100, this.glideTime);
+        }
+        this.changed(['volume']);
+    }
+
+    setFades({ fadeIn = this.state.fadeIn, fadeOut = this.state.fadeOut }) {
+        this.state.fadeIn = clamp(checkNumber('Fade-in', fadeIn), AudioEngine.limits.fade);
+        this.state.fadeOut = clamp(checkNumber('Fade-out', fadeOut), AudioEngine.limits.fade);
+        this.changed(['fadeIn', 'fadeOut']);
+    }
+
+    setMode(mode) {
+        if (!AudioEngine.modes.includes(mode)) {
+            throw new Error(`Unknown mode "${mode}"`);
+        }
+        if (mode === this.state.mode) return;
+
+        this.state.mode = mode;
+
+        // Swap graphs with a quick crossfade rather than the full fade-out/fade-in
+        if (this.isPlaying) {
+            this.restartGraph();
+        }
+        this.changed(['mode']);
+    }
+
+    // Duty cycle and pulse shape apply to every isochronic layer
+    setIsochronic({ duty = this.state.isochronic.duty, shape = this.state.isochronic.shape }) {
+        this.state.isochronic = { duty: clamp(checkNumber('Duty cycle', duty), AudioEngine.limits.duty), shape };
+
+        const wave = Waveforms.gate(this.state.isochronic.duty, shape);
+        this.gates.forEach(gate => {
+            gate.voice.wave = wave;
+            gate.voice.oscillator.setPeriodicWave(Waveforms.toPeriodicWave(this.context, wave));
+            this.rampParam(gate.gain.gain, wave.offset, this.glideTime);
+        });
+        this.changed(['isochronic']);
+    }
+
+    setTimbre(timbre) {
+        const current = this.state.timbre;
+        const type = Waveforms.timbres[timbre.type] ? timbre.type : 'sine';
+        const harmonics = Array.isArray(timbre.harmonics)
+            ? Waveforms.harmonicsFor({ type: 'custom', harmonics: timbre.harmonics })
+            : current.harmonics;
+        const changed = type !== current.type;
+        this.state.timbre = { type, harmonics };
+
+        // A new set of partials needs a new graph; custom edits only change levels
+        if (changed && this.isPlaying) {
+            this.restartGraph();
+        } else {
+            this.updateTimbreLevels();
+        }
+        this.changed(['timbre']);
+    }
+
+    updateTimbreLevels() {
+        if (!this.isPlaying || this.state.timbre.type !== 'custom') return;
+
+        const partials = Waveforms.partials(this.state.timbre, true);
+        this.partialGains.forEach(({ harmonic, gain }) => {
+            const partial = partials.find(p => p.harmonic === harmonic);
+            this.rampParam(gain.gain, partial ? partial.level : 0, this.glideTime);
+        });
+    }
+
+    setBase({ muted = this.state.base.muted, solo = this.state.base.solo }) {
+        this.state.base = { muted, solo };
+        this.applyLayerLevels();
+        this.changed(['base']);
+    }
+
+    // Replace every extra layer, e.g. from a preset
+    setLayers(layers) {
+        this.state.layers = BeatLayers.normalize(layers, AudioEngine.limits);
+        if (this.isPlaying) {
+            this.restartGraph();
+        }
+        this.changed(['layers']);
+    }
+
+    addLayer(settings = {}) {
+        if (this.state.layers.length >= BeatLayers.maxLayers) return null;
+
+        const layer = BeatLayers.create(settings);
+        this.state.layers.push(layer);
+        if (this.isPlaying) {
+            this.restartGraph();
+        }
+        this.changed(['layers']);
+        return layer;
+    }
+
+    removeLayer(id) {
+        this.state.layers = this.state.layers.filter(layer => layer.id !== id);
+        if (this.isPlaying) {
+            this.restartGraph();
+        }
+        this.changed(['layers']);
+    }
+
+    // A layer's voices read its settings live, so only a new mode needs a new graph;
+    // a carrier or beat change is just a glide
+    updateLayer(id, changes) {
+        const layer = this.state.layers.find(other => other.id === id);
+        if (!layer) return;
+
+        if (changes.mode !== undefined && !BeatLayers.modes.includes(changes.mode)) {
+            throw new Error(`Unknown mode "${changes.mode}"`);
+        }
+        const rebuild = changes.mode !== undefined && changes.mode !== layer.mode;
+        Object.assign(layer, changes);
+
+        if (rebuild && this.isPlaying) {
+            this.restartGraph();
+        } else if (this.isPlaying) {
+            this.voices.filter(voice => voice.layer === id).forEach(({ oscillator, frequencyFor }) => {
+                this.rampParam(oscillator.frequency, frequencyFor(layer.beat, layer.carrier), this.glideTime);
+            });
+            this.applyLayerLevels();
+        }
+        this.changed(['layers'], { layer: id });
+    }
+
+    applyLayerLevels() {
+        if (!this.isPlaying) return;
+
+        const levels = BeatLayers.levels(this.state.base, this.state.layers);
+        Object.entries(this.layerGains).forEach(([key, gain]) => {
+            this.rampParam(gain.gain, levels[key] || 0, this.glideTime);
+        });
+    }
+
+    // Replace every background layer's settings
+    setNoise(noise) {
+        this.state.noise = noise;
+        Object.keys(noise).forEach(type => this.applyNoiseLayer(type));
+        this.changed(['noise']);
+    }
+
+    updateNoise(type, changes) {
+        Object.assign(this.state.noise[type], changes);
+        this.applyNoiseLayer(type);
+        this.changed(['noise']);
+    }
+
+    // Apply one layer's settings, adding or removing it from the live graph as needed
+    applyNoiseLayer(type) {
+        const settings = this.state.noise[type];
+        const nodes = this.noiseNodes[type];
+
+        if (!this.isPlaying || !this.masterGain) return;
+
+        const now = this.context.currentTime;
+        const targetGain = NoiseGenerator.levelToGain(settings.level);
+
+        if (settings.enabled && !nodes) {
+            const layer = NoiseGenerator.createLayer(this.context, this.masterGain, type, settings);
+            layer.gain.gain.setValueAtTime(0, now);
+            layer.gain.gain.linearRampToValueAtTime(targetGain, now + 0.5);
+            layer.start();
+            this.noiseNodes[type] = layer;
+        } else if (!settings.enabled && nodes) {
+            this.rampParam(nodes.gain.gain, 0, 0.5);
+            nodes.stop(now + 0.5);
+            delete this.noiseNodes[type];
+        } else if (nodes) {
+            this.rampParam(nodes.gain.gain, targetGain, this.glideTime);
+            this.rampParam(nodes.lowpass.frequency, settings.lowpass, this.glideTime);
+            this.rampParam(nodes.highpass.frequency, settings.highpass, this.glideTime);
+        }
+    }
+
+    async play() {
+        if (this.isPlaying) return true;
+
+        try {
+            if (!this.context) {
+                throw new Error('No AudioContext attached');
+            }
+
+            // Resume audio context if suspended
+            if (this.context.state === 'suspended') {
+                await this.context.resume();
+            }
+
+            const previous = this.transport;
+            this.startGraph(this.state.fadeIn);
+
+            this.isPlaying = true;
+            this.startTime = this.context.currentTime;
+            this.interruptedAt = null;
+
+            // Pick up the session program where it left off
+            if (this.program) {
+                this.scheduleProgram();
+            }
+
+            this.startTicks();
+            this.changed(['transport'], { transport: this.transport, previous });
+            return true;
+        } catch (error) {
+            this.emit('error', { error, action: 'play' });
+            return false;
+        }
+    }
+
+    pause() {
+        if (!this.isPlaying) return;
+
+        const previous = this.transport;
+        this.halt(this.state.fadeOut);
+        this.changed(['transport'], { transport: this.transport, previous });
+    }
+
+    stop() {
+        const previous = this.transport;
+        if (previous === 'stopped') return;
+
+        if (this.isPlaying) {
+            this.halt(this.state.fadeOut);
+        }
+        this.startTime = null;
+        this.sessionOffset = 0;
+        this.changed(['transport'], { transport: this.transport, previous });
+    }
+
+    halt(fadeOutTime) {
+        this.holdProgram();
+        this.stopGraph(fadeOutTime);
+        this.isPlaying = false;
+        this.interruptedAt = null;
+        this.stopTicks();
+    }
+
+    // The system stopped the audio (a call, another app, a frozen page). Playback
+    // stays on: the session is frozen like a pause and rebuilt by recover().
+    interrupt() {
+        if (this.transport !== 'playing') return;
+
+        this.interruptedAt = this.context.currentTime;
+        this.holdProgram();
+        this.stopGraph(0);
+        this.stopTicks();
+        this.changed(['transport'], { transport: this.transport, previous: 'playing' });
+    }
+
+    recover() {
+        if (this.transport !== 'interrupted') return;
+
+        // Leave the interruption out of the elapsed time, whether or not the audio clock stood still
+        const now = this.context.currentTime;
+        this.startTime += now - this.interruptedAt;
+        this.interruptedAt = null;
+
+        this.startGraph(this.state.fadeIn);
+        if (this.program) {
+            this.scheduleProgram();
+        }
+        this.startTicks();
+        this.changed(['transport'], { transport: this.transport, previous: 'interrupted' });
+    }
+
+    startTicks() {
+        this.stopTicks();
+        this.tickInterval = setInterval(() => this.tick(), 1000);
+    }
+
+    stopTicks() {
+        if (this.tickInterval) {
+            clearInterval(this.tickInterval);
+            this.tickInterval = null;
+        }
+    }
+
+    // Follows the program's ramps into the state, and ends it once it's done
+    tick() {
+        let session = null;
+        if (this.program) {
+            const elapsed = this.getSessionElapsed();
+            session = this.program.statusAt(elapsed);
+            if (session.complete) {
+                this.completeProgram();
+                return;
+            }
+
+            const { carrier, beat } = this.program.valueAt(elapsed);
+            this.trackFrequencies(carrier, beat, 'program');
+        }
+        this.emit('tick', { elapsed: this.elapsed, session });
+    }
+
+    startProgram(program) {
+        this.program = program;
+        this.sessionOffset = 0;
+        this.sessionStartTime = null;
+
+        if (this.isPlaying) {
+            this.scheduleProgram();
+        }
+        this.changed(['program']);
+    }
+
+    scheduleProgram() {
+        if (!this.program || !this.voices.length) return;
+
+        // Extra beat layers hold their own frequencies, so they can be edited mid-program
+        this.sessionStartTime = this.context.currentTime;
+        this.program.schedule(
+            this.voices
+                .filter(voice => !voice.layer)
+                .map(voice => ({ param: voice.oscillator.frequency, frequencyFor: voice.frequencyFor })),
+            this.sessionStartTime,
+            this.sessionOffset
+        );
+    }
+
+    // Remember how far into the program we got
+    holdProgram() {
+        if (this.program && this.sessionStartTime !== null) {
+            this.sessionOffset += this.context.currentTime - this.sessionStartTime;
+            this.sessionStartTime = null;
+        }
+    }
+
+    endProgram() {
+        if (!this.program) return;
+
+        // Freeze the oscillators where the program left them
+        if (this.isPlaying) {
+            const { carrier, beat } = this.program.valueAt(this.getSessionElapsed());
+            const now = this.context.currentTime;
+            this.voices.forEach(({ oscillator }) => {
+                const param = oscillator.frequency;
+                const value = param.value;
+                param.cancelScheduledValues(now);
+                param.setValueAtTime(value, now);
+            });
+            this.trackFrequencies(carrier, beat, 'program');
+        }
+
+        this.program = null;
+        this.sessionOffset = 0;
+        this.sessionStartTime = null;
+        this.changed(['program']);
+    }
+
+    completeProgram() {
+        const name = this.program.name;
+        this.program = null;
+        this.sessionStartTime = null;
+        this.stop();
+        this.changed(['program']);
+        console.log(`Session complete: ${name}`);
+    }
+
+    getSessionElapsed() {
+        let elapsed = this.sessionOffset;
+        if (this.isPlaying && this.sessionStartTime !== null) {
+            elapsed += this.context.currentTime - this.sessionStartTime;
+        }
+        return elapsed;
+    }
+
+    // Every voice knows how its frequency follows the beat and carrier,
+    // so the same update works in binaural, monaural and isochronic modes.
+    // Extra beat layers keep their own frequencies.
+    glideVoices(beatFreq, carrierFreq) {
+        this.voices.filter(voice => !voice.layer).forEach(({ oscillator, frequencyFor }) => {
+            this.rampParam(oscillator.frequency, frequencyFor(beatFreq, carrierFreq), this.glideTime);
+        });
+    }
+
+    // The base beat the oscillators are really at this moment, partway through
+    // a glide, program ramp or anything else scheduled on them; null without
+    // base tones. Each voice's frequency is linear in (beat, carrier), so a
+    // voice that follows the beat alone (an isochronic gate) gives it directly,
+    // and any two voices that move differently pin both down.
+    liveBeat() {
+        const voices = this.voices.filter(voice => !voice.layer).map(({ oscillator, frequencyFor }) => {
+            const origin = frequencyFor(0, 0);
+            return {
+                beat: frequencyFor(1, 0) - origin,
+                carrier: frequencyFor(0, 1) - origin,
+                value: oscillator.frequency.value - origin
+            };
+        });
+
+        const gate = voices.find(voice => voice.beat !== 0 && voice.carrier === 0);
+        if (gate) return gate.value / gate.beat;
+
+        for (let i = 0; i < voices.length; i++) {
+            for (let j = i + 1; j < voices.length; j++) {
+                const a = voices[i];
+                const b = voices[j];
+                const determinant = a.beat * b.carrier - b.beat * a.carrier;
+                if (Math.abs(determinant) > 1e-9) {
+                    return (a.value * b.carrier - b.value * a.carrier) / determinant;
+                }
+            }
+        }
+        return null;
+    }
+
+    // Glide an AudioParam from wherever it currently is, so changes never jump (and click)
+    rampParam(param, value, duration) {
+        const now = this.context.currentTime;
+        const current = param.value;
+
+        param.cancelScheduledValues(now);
+        param.setValueAtTime(current, now);
+        param.linearRampToValueAtTime(value, now + Math.max(duration, 0.01));
+    }
+
+    clearGraph() {
+        this.voices = [];
+        this.partialGains = [];
+        this.gates = [];
+        this.layerGains = {};
+        this.noiseNodes = {};
+        this.masterGain = null;
+        this.toneBus = null;
+    }
+
+    // Builds the live graph from the current settings and fades it in
+    startGraph(fadeInTime) {
+        const context = this.context;
+        const graph = this.createToneGraph(context, {
+            mode: this.state.mode,
+            tones: this.baseTones,
+            carrierFreq: this.state.carrier,
+            beatFreq: this.state.beat,
+            noise: this.state.noise,
+            output: this.output
+        });
+        this.voices = graph.voices;
+        this.partialGains = graph.partials;
+        this.gates = graph.gates;
+        this.layerGains = graph.layerGains;
+        this.noiseNodes = graph.layers;
+        this.masterGain = graph.masterGain;
+        this.toneBus = graph.toneBus;
+
+        // Master gain, faded in from silence
+        this.masterGain.gain.setValueAtTime(0, context.currentTime);
+        this.masterGain.gain.linearRampToValueAtTime(
+            this.state.volume / 100,
+            context.currentTime + Math.max(fadeInTime, 0.01)
+        );
+        this.emit('graphstart', { graph, fadeTime: fadeInTime });
+
+        // Start oscillators (listeners may have added some with addVoices()) and noise layers
+        this.voices.forEach(({ oscillator }) => oscillator.start());
+        Object.values(this.noiseNodes).forEach(layer => layer.start());
+    }
+
+    // For graphstart listeners: voices built outside the engine that follow the
+    // base beat (the page's music shifter), in the same { oscillator, frequencyFor }
+    // form. They start, glide, follow programs and stop with the graph's own.
+    addVoices(voices) {
+        this.voices.push(...voices);
+    }
+
+    // Fades to silence by context time `end`, e.g. a sleep timer's tail: from
+    // `level` (a fraction of the volume) now, straight down to 0. With `toBeat`
+    // the base beat drifts there too, from `beat`. Safe to call again after any
+    // change; setVolume() and setBeat() take back over.
+    fadeTail(end, { level = 1, settle = this.glideTime, beat = this.state.beat, toBeat = null } = {}) {
+        if (!this.isPlaying || !this.masterGain) return;
+
+        const now = this.context.currentTime;
+        const length = Math.max(0, end - now);
+        const glide = Math.min(Math.max(settle, 0.01), length);
+        const remaining = length > 0 ? (length - glide) / length : 0;
+        this.rampParam(this.masterGain.gain, this.state.volume / 100 * level * remaining, glide);
+        this.masterGain.gain.linearRampToValueAtTime(0, end);
+
+        if (toBeat !== null) {
+            const carrier = this.state.carrier;
+            this.voices.filter(voice => !voice.layer).forEach(({ oscillator, frequencyFor }) => {
+                this.rampParam(oscillator.frequency, frequencyFor(beat, carrier), this.glideTime);
+                oscillator.frequency.linearRampToValueAtTime(frequencyFor(toBeat, carrier), end);
+            });
+        }
+    }
+
+    // Fades the live graph out and stops its oscillators once it's silent
+    stopGraph(fadeOutTime) {
+        const stopAt = this.fadeOut(fadeOutTime);
+
+        this.voices.forEach(({ oscillator }) => oscillator.stop(stopAt));
+        Object.values(this.noiseNodes).forEach(layer => layer.stop(stopAt));
+        this.emit('graphstop', { stopAt });
+        this.clearGraph();
+    }
+
+    fadeOut(fadeOutTime) {
+        const now = this.context.currentTime;
+        if (!this.masterGain) return now;
+
+        const duration = Math.max(fadeOutTime, 0.01);
+        const masterGain = this.masterGain;
+        this.rampParam(masterGain.gain, 0, duration);
+
+        // Detach the old master stage once the fade has finished
+        setTimeout(() => masterGain.disconnect(), (duration + 0.1) * 1000);
+
+        return now + duration;
+    }
+
+    // Rebuild the graph mid-playback (e.g. after a mode change) without losing the session position
+    restartGraph() {
+        if (!this.isPlaying || this.interruptedAt !== null) return;
+
+        this.holdProgram();
+        this.stopGraph(0.1);
+        this.startGraph(0.1);
+
+        if (this.program) {
+            this.scheduleProgram();
+        }
+    }
+
+    // Builds the tone graph used for both live playback and offline export:
+    // oscillator -> tone gain -> panner -> layer gain -> tone bus -> master gain -> output.
+    // Each voice records how its frequency follows (beat, carrier) and its
+    // waveform, so programs and offline chunks can drive any mode the same way.
+    //   binaural:   carrier ∓ beat/2, panned hard left/right
+    //   monaural:   both tones summed into both channels
+    //   isochronic: one carrier, its gain gated by an LFO at the beat rate
+    // The base layer follows the driven (beat, carrier); extra beat layers are
+    // built the same way at their own fixed frequencies, and their voices carry
+    // the layer id so programs can leave them alone.
+    // Enabled noise layers are mixed into the same master gain under the tones.
+    // With `tones` off (music carrying the beat) the base layer isn't built.
+    createToneGraph(context, {
+        mode = 'binaural',
+        tones = true,
+        isochronic = this.state.isochronic,
+        timbre = this.state.timbre,
+        beatLayers = this.state.layers,
+        baseLayer = this.state.base,
+        carrierFreq,
+        beatFreq,
+        noise = {},
+        offset = 0,
+        output = context.destination
+    }) {
+        const now = context.currentTime;
+        const voices = [];
+        const partialGains = [];
+        const gates = [];
+        const layerGains = {};
+
+        const masterGain = context.createGain();
+        masterGain.connect(output);
+
+        // The tone bus sets the tones' share against music
+        const toneBus = context.createGain();
+        toneBus.connect(masterGain);
+
+        // Custom timbres keep every harmonic so they can be edited while playing
+        const partials = Waveforms.partials(timbre, timbre.type === 'custom');
+        const levels = BeatLayers.levels(baseLayer, beatLayers);
+
+        // `pitch` turns the driven (beat, carrier) into the layer's own; `sideFor` places this tone
+        const addTone = (pitch, sideFor, pan, level, bus, layer) => {
+            const gain = context.createGain();
+            gain.gain.setValueAtTime(level, now);
+
+            const panner = AudioEngine.createPanner(context, pan, now);
+            gain.connect(panner.input);
+            panner.output.connect(bus);
+
+            // Each harmonic is a sine of its own at k·carrier ± beat/2, rather than
+            // a PeriodicWave at carrier ± beat/2, so every partial keeps the exact
+            // beat offset between the ears instead of beating at k·beat
+            partials.forEach(({ harmonic, level: partialLevel }) => {
+                const partialFor = (drivenBeat, drivenCarrier) => {
+                    const { beat, carrier } = pitch(drivenBeat, drivenCarrier);
+                    return sideFor(beat, carrier) + (harmonic - 1) * carrier;
+                };
+                const oscillator = context.createOscillator();
+                oscillator.frequency.setValueAtTime(partialFor(beatFreq, carrierFreq), now);
+
+                const partialGain = context.createGain();
+                partialGain.gain.setValueAtTime(partialLevel, now);
+
+                oscillator.connect(partialGain);
+                partialGain.connect(gain);
+
+                voices.push({ oscillator, frequencyFor: partialFor, wave: Waveforms.sine(), layer });
+                partialGains.push({ harmonic, gain: partialGain });
+            });
+
+            return gain;
+        };
+
+        const leftTone = (beat, carrier) => carrier - beat / 2;
+        const rightTone = (beat, carrier) => carrier + beat / 2;
+
+        // One carrier/beat pair in its mode, on a gain of its own for level, mute and solo
+        const addBeat = (beatMode, pitch, key, layer) => {
+            const bus = context.createGain();
+            bus.gain.setValueAtTime(levels[key], now);
+            bus.connect(toneBus);
+            layerGains[key] = bus;
+
+            if (beatMode === 'isochronic') {
+                const toneGain = addTone(pitch, (beat, carrier) => carrier, 0, 1, bus, layer);
+
+                // The gate's DC level sits on the gain param; the LFO adds the pulse shape on top
+                const wave = Waveforms.gate(isochronic.duty, isochronic.shape);
+                toneGain.gain.setValueAtTime(wave.offset, now);
+
+                const lfo = context.createOscillator();
+                const frequencyFor = (beat, carrier) => pitch(beat, carrier).beat;
+                lfo.setPeriodicWave(Waveforms.toPeriodicWave(context, wave));
+                lfo.frequency.setValueAtTime(frequencyFor(beatFreq, carrierFreq), now);
+                lfo.connect(toneGain.gain);
+
+                const voice = { oscillator: lfo, frequencyFor, wave, layer };
+                voices.push(voice);
+                gates.push({ voice, gain: toneGain });
+            } else if (beatMode === 'monaural') {
+                addTone(pitch, leftTone, 0, 0.5, bus, layer);
+                addTone(pitch, rightTone, 0, 0.5, bus, layer);
+            } else {
+                addTone(pitch, leftTone, -1, 1, bus, layer);
+                addTone(pitch, rightTone, 1, 1, bus, layer);
+            }
+        };
+
+        // Without tones the caller supplies the base beat
+        if (tones) {
+            addBeat(mode, (beat, carrier) => ({ beat, carrier }), 'base', null);
+        }
+
+        // Extra layers read their settings live, so edits while playing only need a glide
+        beatLayers.forEach(beatLayer => {
+            addBeat(beatLayer.mode, () => ({ beat: beatLayer.beat, carrier: beatLayer.carrier }), beatLayer.id, beatLayer.id);
+        });
+
+        const layers = {};
+        Object.entries(noise).forEach(([type, settings]) => {
+            if (settings.enabled) {
+                layers[type] = NoiseGenerator.createLayer(context, masterGain, type, settings, offset);
+            }
+        });
+
+        return { voices, gates, layers, layerGains, masterGain, toneBus, partials: partialGains };
+    }
+
+    // Renders `frames` of a program offline, starting `startFrame` into it.
+    // Chunks pick up each oscillator's phase where the previous one ended, so
+    // a long session can be rendered piece by piece into one seamless file.
+    // Settings the program doesn't carry come from the current state.
+    renderChunk(OfflineContext, program, startFrame, frames, sampleRate) {
+        const context = new OfflineContext(2, frames, sampleRate);
+        const start = startFrame / sampleRate;
+        const { beat, carrier } = program.valueAt(start);
+        const graph = this.createToneGraph(context, {
+            mode: program.mode || this.state.mode,
+            isochronic: program.isochronic || this.state.isochronic,
+            timbre: program.timbre || this.state.timbre,
+            beatLayers: program.layers ? BeatLayers.normalize(program.layers, AudioEngine.limits) : this.state.layers,
+            carrierFreq: carrier,
+            beatFreq: beat,
+            noise: program.noise ? NoiseGenerator.normalize(program.noise) : this.state.noise,
+            offset: start
+        });
+
+        // Start every oscillator at the phase the previous chunk ended on
+        graph.voices.forEach(voice => {
+            const cycles = program.cyclesAt(start, voice.frequencyFor);
+            const wave = Waveforms.phaseShift(voice.wave, cycles - Math.floor(cycles));
+            voice.oscillator.setPeriodicWave(Waveforms.toPeriodicWave(context, wave));
+        });
+
+        program.schedule(
+            graph.voices.map(voice => ({ param: voice.oscillator.frequency, frequencyFor: voice.frequencyFor })),
+            0,
+            start
+        );
+        const volume = program.volume !== undefined ? program.volume : this.state.volume;
+        this.scheduleExportEnvelope(graph.masterGain.gain, volume / 100, start, program.duration);
+
+        graph.voices.forEach(({ oscillator }) => oscillator.start(0));
+        Object.values(graph.layers).forEach(layer => layer.start(0));
+
+        return context.startRendering();
+    }
+
+    // Renders `seconds` of the current settings at a steady volume, with no
+    // fades, to check what the graph really produces. `connect` can put a
+    // stage of its own between the graph and the destination.
+    renderSnapshot(OfflineContext, seconds, sampleRate, connect = (context) => context.destination) {
+        const context = new OfflineContext(2, Math.round(seconds * sampleRate), sampleRate);
+        const graph = this.createToneGraph(context, {
+            mode: this.state.mode,
+            carrierFreq: this.state.carrier,
+            beatFreq: this.state.beat,
+            noise: this.state.noise,
+            output: connect(context)
+        });
+        graph.masterGain.gain.setValueAtTime(this.state.volume / 100, 0);
+
+        graph.voices.forEach(({ oscillator }) => oscillator.start(0));
+        Object.values(graph.layers).forEach(layer => layer.start(0));
+
+        return context.startRendering();
+    }
+
+    // Volume envelope for a chunk starting `start` seconds into the file,
+    // with the same fade-in/fade-out as live playback at either end
+    scheduleExportEnvelope(param, volume, start, total) {
+        const fadeIn = Math.min(this.state.fadeIn, total / 2);
+        const fadeOut = Math.min(this.state.fadeOut, total / 2);
+        const fadeOutStart = total - fadeOut;
+        const envelope = (t) => volume * Math.min(
+            1,
+            fadeIn > 0 ? t / fadeIn : 1,
+            fadeOut > 0 ? (total - t) / fadeOut : 1
+        );
+
+        param.setValueAtTime(envelope(start), 0);
+        if (start < fadeIn) {
+            param.linearRampToValueAtTime(volume, fadeIn - start);
+        }
+        if (start < fadeOutStart) {
+            param.setValueAtTime(volume, fadeOutStart - start);
+        }
+        param.linearRampToValueAtTime(0, total - start);
+    }
+}
@@ -0,0 +1,191 @@
+// Background playback protection for Bee Neural Beats
+//
+// While playback is on, holds a screen wake lock (browsers drop it whenever
+// the page is hidden, so it's taken again on return) and watches the
+// AudioContext. When the system suspends or interrupts the context - a call,
+// another app taking audio focus, the page being frozen - the generator is
+// told so it can freeze the session, and the context is resumed as soon as
+// the browser allows: right away, on return to the page, on a service worker
+// ping, or on the next tap or key press if it insists on a user gesture.
+export class AudioKeepalive {
+    constructor({ onInterrupted, onResumed, onChange }) {
+        this.onInterrupted = onInterrupted;
+        this.onResumed = onResumed;
+        this.onChange = onChange;
+        this.context = null;
+        this.enabled = true;
+        this.active = false;
+        this.interrupted = false;
+        this.wantsWakeLock = false;
+        this.wakeLock = null;
+        this.wakeLockPending = false;
+        this.waitingForGesture = false;
+
+        this.handleStateChange = () => this.check();
+        this.resumeOnGesture = () => this.resume();
+    }
+
+    static get supportsWakeLock() {
+        return 'wakeLock' in navigator;
+    }
+
+    // 'off', 'idle', 'protected' (wake lock held), 'watching' (no wake lock) or 'interrupted'
+    get status() {
+        if (this.active && this.interrupted) return 'interrupted';
+        if (!this.enabled) return 'off';
+        if (!this.active) return 'idle';
+        return this.wakeLock ? 'protected' : 'watching';
+    }
+
+    attach(context) {
+        if (this.context) {
+            this.context.removeEventListener('statechange', this.handleStateChange);
+        }
+        this.context = context;
+        context.addEventListener('statechange', this.handleStateChange);
+    }
+
+    // Playback started; protect it until stop()
+    start() {
+        this.active = true;
+        this.interrupted = false;
+        this.wantsWakeLock = this.enabled;
+        this.acquireWakeLock();
+        if (this.enabled) {
+            this.requestSync();
+        }
+        this.changed();
+    }
+
+    stop() {
+        this.active = false;
+        this.interrupted = false;
+        this.wantsWakeLock = false;
+        this.waitForGesture(false);
+        this.releaseWakeLock();
+        this.changed();
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.wantsWakeLock = enabled && this.active;
+        if (this.wantsWakeLock) {
+            this.acquireWakeLock();
+        } else {
+            this.releaseWakeLock();
+        }
+        this.changed();
+    }
+
+    // Let the screen turn off for the rest of this playback (the sleep timer's fade)
+    allowScreenSleep() {
+        this.wantsWakeLock = false;
+        this.releaseWakeLock();
+        this.changed();
+    }
+
+    // Runs on context state changes, visibility changes and service worker pings
+    check(retry = true) {
+        if (!this.context || !this.active) return;
+
+        const running = this.context.state === 'running';
+        if (!running && !this.interrupted) {
+            console.log(`Audio ${this.context.state} by the system`);
+            this.interrupted = true;
+            this.onInterrupted();
+            this.changed();
+        } else if (running && this.interrupted) {
+            console.log('Audio resumed after an interruption');
+            this.interrupted = false;
+            this.waitForGesture(false);
+            this.onResumed();
+            this.changed();
+        }
+
+        // With background play off, a hidden page is left alone until it comes back
+        if (retry && this.interrupted && (this.enabled || !document.hidden)) {
+            this.resume();
+        }
+    }
+
+    resume() {
+        const context = this.context;
+        if (!context || context.state === 'running' || context.state === 'closed') return;
+
+        // Browsers that need a user gesture leave the promise pending or reject it
+        this.waitForGesture(true);
+        context.resume()
+            .then(() => this.check(false))
+            .catch(error => console.log('Audio resume failed:', error));
+    }
+
+    waitForGesture(waiting) {
+        if (waiting === this.waitingForGesture) return;
+
+        this.waitingForGesture = waiting;
+        const method = waiting ? 'addEventListener' : 'removeEventListener';
+        ['pointerdown', 'keydown'].forEach(type => document[method](type, this.resumeOnGesture, true));
+    }
+
+    // Wake locks are dropped whenever the page is hidden, so take it again on return
+    handleVisibility() {
+        if (!document.hidden) {
+            this.acquireWakeLock();
+        }
+        this.check();
+    }
+
+    async acquireWakeLock() {
+        if (!this.wantsWakeLock || this.wakeLock || this.wakeLockPending) return;
+        if (!AudioKeepalive.supportsWakeLock || document.hidden) return;
+
+        this.wakeLockPending = true;
+        try {
+            const lock = await navigator.wakeLock.request('screen');
+
+            // Playback may have stopped while the request was pending
+            if (!this.wantsWakeLock) {
+                lock.release();
+                return;
+            }
+
+            this.wakeLock = lock;
+            console.log('Wake lock acquired');
+            lock.addEventListener('release', () => {
+                console.log('Wake lock released');
+                if (this.wakeLock === lock) {
+                    this.wakeLock = null;
+                    this.changed();
+                }
+            });
+            this.changed();
+        } catch (err) {
+            console.log('Wake lock failed:', err);
+        } finally {
+            this.wakeLockPending = false;
+        }
+    }
+
+    releaseWakeLock() {
+        if (this.wakeLock) {
+            const lock = this.wakeLock;
+            this.wakeLock = null;
+            lock.release();
+        }
+    }
+
+    // The service worker answers the 'audio-sync' background sync with a MAINTAIN_AUDIO ping
+    requestSync() {
+        if (!('serviceWorker' in navigator) || !('SyncManager' in window)) return;
+
+        navigator.serviceWorker.ready
+            .then(registration => registration.sync.register('audio-sync'))
+            .catch(error => console.log('Background sync unavailable:', error));
+    }
+
+    changed() {
+        if (this.onChange) {
+            this.onChange(this.status);
+        }
+    }
+}
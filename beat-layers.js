@@ -0,0 +1,88 @@
+// Stacked beat layers for Bee Neural Beats
+//
+// The main controls make the base layer; each extra layer adds a carrier/beat
+// pair of its own on top, like a 40 Hz gamma overlay over a 6 Hz theta base:
+//   { id, carrier, beat, gain: 0-100, mode, muted, solo }
+// Programs, glides and the sleep drift only move the base layer; the others
+// hold their own frequencies. Solo works as on a mixing desk: once any layer
+// (the base included) is soloed, only the soloed layers play.
+export class BeatLayers {
+    static get maxLayers() {
+        return 4;
+    }
+
+    static get modes() {
+        return ['binaural', 'monaural', 'isochronic'];
+    }
+
+    // Layer levels, in %
+    static get gainRange() {
+        return { min: 0, max: 100 };
+    }
+
+    static create(settings = {}) {
+        return {
+            carrier: 200,
+            beat: 40,
+            gain: 50,
+            mode: 'binaural',
+            muted: false,
+            solo: false,
+            ...settings,
+            id: `layer-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`
+        };
+    }
+
+    // Fresh copies with defaults filled in and carrier, beat and level kept in
+    // range (`limits` has the carrier and beat ones), e.g. from a preset
+    static normalize(layers, limits) {
+        const defaults = BeatLayers.create();
+        const number = (value, range, fallback) => (typeof value === 'number' && Number.isFinite(value)
+            ? Math.max(range.min, Math.min(range.max, value))
+            : fallback);
+
+        return (Array.isArray(layers) ? layers : [])
+            .filter(layer => layer && typeof layer === 'object')
+            .slice(0, BeatLayers.maxLayers)
+            .map(layer => BeatLayers.create({
+                carrier: number(layer.carrier, limits.carrier, defaults.carrier),
+                beat: number(layer.beat, limits.beat, defaults.beat),
+                gain: number(layer.gain, BeatLayers.gainRange, defaults.gain),
+                mode: BeatLayers.modes.includes(layer.mode) ? layer.mode : defaults.mode,
+                muted: !!layer.muted,
+                solo: !!layer.solo
+            }));
+    }
+
+    // The saved form: ids only matter while the app is running
+    static snapshot(layers) {
+        return layers.map(({ id, ...settings }) => ({ ...settings }));
+    }
+
+    // Output level of the base ('base') and of each layer (by id). When the
+    // levels add up past full scale they're scaled down together, so stacking
+    // layers never clips.
+    static levels(base, layers) {
+        const anySolo = base.solo || layers.some(layer => layer.solo);
+        const audible = (layer) => !layer.muted && (!anySolo || layer.solo);
+
+        const levels = { base: audible(base) ? 1 : 0 };
+        layers.forEach(layer => {
+            levels[layer.id] = audible(layer) ? layer.gain / 100 : 0;
+        });
+
+        const total = Object.values(levels).reduce((sum, level) => sum + level, 0);
+        if (total > 1) {
+            Object.keys(levels).forEach(key => {
+                levels[key] /= total;
+            });
+        }
+        return levels;
+    }
+
+    // The extra layers that can currently be heard
+    static audible(base, layers) {
+        const levels = BeatLayers.levels(base, layers);
+        return layers.filter(layer => levels[layer.id] > 0);
+    }
+}
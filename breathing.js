@@ -0,0 +1,138 @@
+// Guided breathing pacer for Bee Neural Beats
+//
+// A pattern is a cycle of phases ({ phase: 'inhale' | 'hold' | 'exhale', seconds })
+// run on the session clock, so it pauses and resumes with playback. The
+// chosen pattern can cover the whole session or just its first minutes, and
+// program stages can set their own with `breathing: <pattern id>` (or 'off'),
+// each stage starting its pattern on a fresh inhale.
+export class BreathingPacer {
+    constructor() {
+        this.pattern = 'off';
+        // 0 paces the whole session
+        this.minutes = 0;
+        this.cues = false;
+    }
+
+    static get patterns() {
+        return {
+            box: {
+                name: 'Box 4-4-4-4',
+                phases: [
+                    { phase: 'inhale', seconds: 4 },
+                    { phase: 'hold', seconds: 4 },
+                    { phase: 'exhale', seconds: 4 },
+                    { phase: 'hold', seconds: 4 }
+                ]
+            },
+            relax: {
+                name: '4-7-8',
+                phases: [
+                    { phase: 'inhale', seconds: 4 },
+                    { phase: 'hold', seconds: 7 },
+                    { phase: 'exhale', seconds: 8 }
+                ]
+            },
+            // 5.5 breaths a minute, in and out in equal halves
+            coherent: {
+                name: 'Coherent 5.5 bpm',
+                phases: [
+                    { phase: 'inhale', seconds: 60 / 5.5 / 2 },
+                    { phase: 'exhale', seconds: 60 / 5.5 / 2 }
+                ]
+            }
+        };
+    }
+
+    static get labels() {
+        return { inhale: 'Breathe in', hold: 'Hold', exhale: 'Breathe out' };
+    }
+
+    // The pattern pacing `elapsed` seconds into the session, as
+    // { id, pattern, since, until } (session times), or null for none
+    activeAt(elapsed, program = null) {
+        const patterns = BreathingPacer.patterns;
+        const stage = program ? program.stageAt(elapsed) : null;
+        if (stage && stage.breathing) {
+            return patterns[stage.breathing]
+                ? { id: stage.breathing, pattern: patterns[stage.breathing], since: stage.start, until: stage.end }
+                : null;
+        }
+
+        const until = this.minutes > 0 ? this.minutes * 60 : Infinity;
+        if (!patterns[this.pattern] || elapsed >= until) return null;
+        return { id: this.pattern, pattern: patterns[this.pattern], since: 0, until };
+    }
+
+    // Where a pattern is `seconds` after it started. `fullness` runs from 0
+    // (breathed out) to 1 (breathed in), eased so the pacer moves like a breath.
+    static phaseAt(pattern, seconds) {
+        const cycle = pattern.phases.reduce((sum, { seconds: length }) => sum + length, 0);
+        let position = ((seconds % cycle) + cycle) % cycle;
+        let fullness = 0;
+
+        for (let index = 0; index < pattern.phases.length; index++) {
+            const { phase, seconds: length } = pattern.phases[index];
+            const target = phase === 'inhale' ? 1 : phase === 'exhale' ? 0 : fullness;
+
+            if (position < length || index === pattern.phases.length - 1) {
+                const progress = Math.min(1, position / length);
+                const eased = (1 - Math.cos(Math.PI * progress)) / 2;
+                return {
+                    phase,
+                    label: BreathingPacer.labels[phase],
+                    index,
+                    progress,
+                    remaining: Math.max(0, length - position),
+                    fullness: fullness + (target - fullness) * eased,
+                    breath: Math.floor(seconds / cycle)
+                };
+            }
+
+            position -= length;
+            fullness = target;
+        }
+        return null;
+    }
+
+    // Phase starts between `from` and `to` seconds into a pattern, as { at, phase }
+    static phaseStarts(pattern, from, to) {
+        const cycle = pattern.phases.reduce((sum, { seconds }) => sum + seconds, 0);
+        const starts = [];
+
+        for (let cycleStart = Math.floor(from / cycle) * cycle; cycleStart < to; cycleStart += cycle) {
+            let at = cycleStart;
+            pattern.phases.forEach(({ phase, seconds }) => {
+                if (at >= from && at < to) {
+                    starts.push({ at, phase });
+                }
+                at += seconds;
+            });
+        }
+        return starts;
+    }
+
+    // A soft chime at audio time `when`: rising to breathe in, falling to
+    // breathe out, one quiet note to hold
+    static playCue(context, output, phase, when) {
+        const [from, to, level] = {
+            inhale: [392, 523.25, 0.12],
+            exhale: [523.25, 392, 0.12],
+            hold: [440, 440, 0.06]
+        }[phase];
+        const length = phase === 'hold' ? 0.4 : 0.9;
+
+        const oscillator = context.createOscillator();
+        oscillator.frequency.setValueAtTime(from, when);
+        oscillator.frequency.exponentialRampToValueAtTime(to, when + length * 0.6);
+
+        const gain = context.createGain();
+        gain.gain.setValueAtTime(0, when);
+        gain.gain.linearRampToValueAtTime(level, when + 0.05);
+        gain.gain.exponentialRampToValueAtTime(0.0001, when + length);
+
+        oscillator.connect(gain);
+        gain.connect(output);
+        oscillator.start(when);
+        oscillator.stop(when + length + 0.05);
+    }
+}
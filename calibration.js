@@ -0,0 +1,111 @@
+// Headphone channel calibration for Bee Neural Beats
+//
+// Settings are { swap, left, right }: whether to exchange the two channels,
+// and a trim in dB for each ear (0 or below, so balancing never clips).
+// They are applied by an output stage between the generator and the speakers:
+// input -> splitter -> left/right trim gains -> merger (crossed when swapped).
+export class ChannelCalibration {
+    constructor(storageKey = 'bee-neural-beats:calibration') {
+        this.storageKey = storageKey;
+        this.settings = this.read();
+    }
+
+    static defaults() {
+        return { swap: false, left: 0, right: 0, calibrated: false };
+    }
+
+    // Lowest trim in dB, the end of the balance slider
+    static get minTrim() {
+        return -12;
+    }
+
+    // Anything missing or malformed in storage falls back to the default
+    read() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || '{}') || {};
+            const settings = ChannelCalibration.defaults();
+            ['swap', 'calibrated'].forEach(key => {
+                if (typeof saved[key] === 'boolean') settings[key] = saved[key];
+            });
+            ['left', 'right'].forEach(key => {
+                const db = saved[key];
+                if (typeof db === 'number' && db >= ChannelCalibration.minTrim && db <= 0) settings[key] = db;
+            });
+            return settings;
+        } catch (error) {
+            console.error('Error reading calibration:', error);
+            return ChannelCalibration.defaults();
+        }
+    }
+
+    save(settings) {
+        this.settings = { ...this.settings, ...settings, calibrated: true };
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+        } catch (error) {
+            console.error('Error saving calibration:', error);
+            throw new Error('Could not save calibration. Storage may be full or disabled.');
+        }
+    }
+
+    reset() {
+        this.settings = ChannelCalibration.defaults();
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            console.error('Error clearing calibration:', error);
+            throw new Error('Could not clear the saved calibration. Storage may be disabled.');
+        }
+    }
+
+    // Balance in dB (-12..12, positive = toward the right) as per-ear trims
+    static trimsForBalance(balance) {
+        return { left: Math.min(0, -balance), right: Math.min(0, balance) };
+    }
+
+    static balanceForTrims(left, right) {
+        return left < 0 ? -left : right;
+    }
+
+    static dbToGain(db) {
+        return Math.pow(10, db / 20);
+    }
+
+    static createOutputStage(context, destination = context.destination) {
+        const input = context.createGain();
+        const splitter = context.createChannelSplitter(2);
+        const merger = context.createChannelMerger(2);
+        const left = context.createGain();
+        const right = context.createGain();
+
+        input.connect(splitter);
+        splitter.connect(left, 0);
+        splitter.connect(right, 1);
+        merger.connect(destination);
+
+        return {
+            input,
+            left,
+            right,
+            merger,
+            swapped: null,
+            // Route and trim the channels; gains glide so changes don't click
+            apply(settings, glideTime = 0.05) {
+                const now = context.currentTime;
+                [[left, settings.left], [right, settings.right]].forEach(([node, db]) => {
+                    node.gain.cancelScheduledValues(now);
+                    node.gain.setValueAtTime(node.gain.value, now);
+                    node.gain.linearRampToValueAtTime(ChannelCalibration.dbToGain(db), now + glideTime);
+                });
+
+                if (this.swapped !== settings.swap) {
+                    left.disconnect();
+                    right.disconnect();
+                    left.connect(merger, 0, settings.swap ? 1 : 0);
+                    right.connect(merger, 0, settings.swap ? 0 : 1);
+                    this.swapped = settings.swap;
+                }
+            }
+        };
+    }
+}
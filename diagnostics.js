@@ -0,0 +1,316 @@
+// Signal verification for Bee Neural Beats
+//
+// For "I don't hear a beat": a few seconds of the generator's output are
+// rendered offline and measured against the settings that produced them -
+// the real left/right frequencies, the beat they make, how well the ears are
+// kept apart, the level and any clipping. Each result is
+//   { id, label, expected, measured, pass }
+// where `pass` is null for readings with nothing to hold them against.
+import { SignalAnalysis } from './analysis.js';
+import { BeatLayers } from './beat-layers.js';
+
+// Below this the output counts as silent
+const SILENCE_DB = -60;
+
+// Separation a binaural beat needs to survive, in dB
+const MIN_SEPARATION_DB = 20;
+
+const formatHz = (value) => `${Number(value.toFixed(2))} Hz`;
+const formatDb = (value, unit = 'dB') => `${isFinite(value) ? value.toFixed(1) : '−∞'} ${unit}`;
+
+// Gaussian elimination with partial pivoting, for the small tone-fitting systems
+const solve = (matrix, vector) => {
+    const n = vector.length;
+    const a = matrix.map((row, i) => [...row, vector[i]]);
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+        }
+        [a[col], a[pivot]] = [a[pivot], a[col]];
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = a[row][col] / a[col][col];
+            for (let k = col; k <= n; k++) {
+                a[row][k] -= factor * a[col][k];
+            }
+        }
+    }
+
+    const result = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = a[row][n];
+        for (let k = row + 1; k < n; k++) {
+            sum -= a[row][k] * result[k];
+        }
+        result[row] = sum / a[row][row];
+    }
+    return result;
+};
+
+export class SignalDiagnostics {
+    // Long enough to hold several beat cycles, so even a 0.5 Hz binaural pair
+    // splits into two tones and a slow pulse shows up in the envelope
+    static durationFor(beat) {
+        return Math.min(12, Math.max(1.5, 6 / beat));
+    }
+
+    // How far a measured frequency may stray from the intended one
+    static tolerance(beat) {
+        return Math.max(0.05, beat * 0.05);
+    }
+
+    // In-place radix-2 FFT; the length must be a power of two
+    static fft(re, im) {
+        const n = re.length;
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) {
+                j ^= bit;
+            }
+            j ^= bit;
+            if (i < j) {
+                [re[i], re[j]] = [re[j], re[i]];
+                [im[i], im[j]] = [im[j], im[i]];
+            }
+        }
+
+        for (let size = 2; size <= n; size <<= 1) {
+            const angle = -2 * Math.PI / size;
+            const stepRe = Math.cos(angle);
+            const stepIm = Math.sin(angle);
+            for (let start = 0; start < n; start += size) {
+                let wRe = 1;
+                let wIm = 0;
+                for (let k = 0; k < size / 2; k++) {
+                    const a = start + k;
+                    const b = a + size / 2;
+                    const tRe = re[b] * wRe - im[b] * wIm;
+                    const tIm = re[b] * wIm + im[b] * wRe;
+                    re[b] = re[a] - tRe;
+                    im[b] = im[a] - tIm;
+                    re[a] += tRe;
+                    im[a] += tIm;
+                    [wRe, wIm] = [wRe * stepRe - wIm * stepIm, wRe * stepIm + wIm * stepRe];
+                }
+            }
+        }
+    }
+
+    // Hann-windowed dB spectrum of the first `size` samples, in the form
+    // SignalAnalysis.findPeak() reads
+    static spectrum(samples, size) {
+        const re = new Float64Array(size);
+        const im = new Float64Array(size);
+        for (let i = 0; i < size; i++) {
+            re[i] = samples[i] * (0.5 - 0.5 * Math.cos(2 * Math.PI * i / (size - 1)));
+        }
+        SignalDiagnostics.fft(re, im);
+
+        const spectrum = new Float32Array(size / 2);
+        for (let i = 0; i < size / 2; i++) {
+            spectrum[i] = SignalAnalysis.toDecibels(Math.hypot(re[i], im[i]));
+        }
+        return spectrum;
+    }
+
+    // Amplitude of each given frequency in the samples, by least squares, so
+    // tones closer together than the spectrum can resolve are still told apart
+    static toneAmplitudes(samples, sampleRate, frequencies) {
+        const size = frequencies.length * 2;
+        const matrix = Array.from({ length: size }, () => new Array(size).fill(0));
+        const vector = new Array(size).fill(0);
+        const basis = new Array(size);
+        const steps = frequencies.map(frequency => 2 * Math.PI * frequency / sampleRate);
+
+        for (let i = 0; i < samples.length; i++) {
+            steps.forEach((step, k) => {
+                basis[2 * k] = Math.cos(step * i);
+                basis[2 * k + 1] = Math.sin(step * i);
+            });
+            for (let row = 0; row < size; row++) {
+                vector[row] += basis[row] * samples[i];
+                for (let col = row; col < size; col++) {
+                    matrix[row][col] += basis[row] * basis[col];
+                }
+            }
+        }
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < row; col++) {
+                matrix[row][col] = matrix[col][row];
+            }
+        }
+
+        const weights = solve(matrix, vector);
+        return frequencies.map((frequency, k) => Math.hypot(weights[2 * k], weights[2 * k + 1]));
+    }
+
+    // Rate of the loudness pulse in the samples (monaural and isochronic beats),
+    // searched between minFreq and maxFreq
+    static envelopeRate(samples, size, sampleRate, minFreq, maxFreq) {
+        const power = new Float64Array(size);
+        let mean = 0;
+        for (let i = 0; i < size; i++) {
+            power[i] = samples[i] * samples[i];
+            mean += power[i] / size;
+        }
+        for (let i = 0; i < size; i++) {
+            power[i] -= mean;
+        }
+
+        const peak = SignalAnalysis.findPeak(SignalDiagnostics.spectrum(power, size), sampleRate / size, minFreq, maxFreq);
+        return peak ? peak.frequency : null;
+    }
+
+    // What each ear should carry for the given settings; `swap` is the
+    // headphone calibration's channel swap
+    static expected(state, { swap = false } = {}) {
+        const { mode, carrier, beat } = state;
+        const low = carrier - beat / 2;
+        const high = carrier + beat / 2;
+
+        if (mode === 'binaural') {
+            return { left: [swap ? high : low], right: [swap ? low : high] };
+        }
+        if (mode === 'monaural') {
+            return { left: [low, high], right: [low, high] };
+        }
+        return { left: [carrier], right: [carrier] };
+    }
+
+    // Measures a rendered stereo buffer against the engine state that made it.
+    // Returns { checks, pass, seconds, sampleRate }.
+    static check(buffer, state, { swap = false } = {}) {
+        const sampleRate = buffer.sampleRate;
+        const left = buffer.getChannelData(0);
+        const right = buffer.getChannelData(1);
+        const size = Math.pow(2, Math.floor(Math.log2(buffer.length)));
+        const binWidth = sampleRate / size;
+        const tolerance = SignalDiagnostics.tolerance(state.beat);
+        const checks = [];
+
+        const baseAudible = BeatLayers.levels(state.base, state.layers).base > 0;
+        if (!baseAudible) {
+            checks.push({
+                id: 'base',
+                label: 'Base beat',
+                expected: 'Audible',
+                measured: 'Muted or soloed out, frequency checks skipped',
+                pass: null
+            });
+        } else if (state.volume > 0) {
+            SignalDiagnostics.checkFrequencies(checks, { left, right, size, sampleRate, binWidth, tolerance, state, swap });
+        }
+
+        // Level and clipping
+        const rms = [left, right].map(samples => SignalAnalysis.toDecibels(SignalAnalysis.rms(samples)));
+        let peak = 0;
+        let clipped = 0;
+        [left, right].forEach(samples => {
+            for (let i = 0; i < samples.length; i++) {
+                const value = Math.abs(samples[i]);
+                peak = Math.max(peak, value);
+                if (value >= 1) clipped++;
+            }
+        });
+
+        const silent = Math.max(...rms) < SILENCE_DB;
+        checks.push({
+            id: 'level',
+            label: 'Level',
+            expected: state.volume > 0 ? `Audible at ${Math.round(state.volume)}% volume` : 'Silent at 0% volume',
+            measured: `L ${formatDb(rms[0], 'dBFS')} · R ${formatDb(rms[1], 'dBFS')} RMS, peak ${formatDb(SignalAnalysis.toDecibels(peak), 'dBFS')}`,
+            pass: state.volume > 0 ? !silent : silent
+        });
+        checks.push({
+            id: 'clipping',
+            label: 'Clipping',
+            expected: 'None',
+            measured: clipped ? `${clipped} samples at or over full scale` : 'None',
+            pass: clipped === 0
+        });
+
+        return {
+            checks,
+            pass: checks.every(check => check.pass !== false),
+            seconds: buffer.length / sampleRate,
+            sampleRate
+        };
+    }
+
+    static checkFrequencies(checks, { left, right, size, sampleRate, binWidth, tolerance, state, swap }) {
+        const { mode, beat } = state;
+        const expected = SignalDiagnostics.expected(state, { swap });
+        const window = Math.max(3, beat);
+
+        // Each ear's strongest tone near where it should be
+        const peaks = [[left, expected.left], [right, expected.right]].map(([samples, targets]) => {
+            const peak = SignalAnalysis.findPeak(
+                SignalDiagnostics.spectrum(samples, size),
+                binWidth,
+                Math.min(...targets) - window,
+                Math.max(...targets) + window
+            );
+            return peak ? peak.frequency : null;
+        });
+
+        ['left', 'right'].forEach((side, index) => {
+            const measured = peaks[index];
+            checks.push({
+                id: side,
+                label: index ? 'Right ear' : 'Left ear',
+                expected: expected[side].map(formatHz).join(' + '),
+                measured: measured === null ? 'No tone found' : formatHz(measured),
+                pass: measured !== null && expected[side].some(target => Math.abs(measured - target) <= tolerance)
+            });
+        });
+
+        if (mode === 'binaural') {
+            const measuredBeat = peaks.includes(null) ? null : Math.abs(peaks[1] - peaks[0]);
+            checks.push({
+                id: 'beat',
+                label: 'Beat (right − left)',
+                expected: formatHz(beat),
+                measured: measuredBeat === null ? 'Not measurable' : formatHz(measuredBeat),
+                pass: measuredBeat !== null && Math.abs(measuredBeat - beat) <= tolerance
+            });
+
+            // How much of the other ear's tone leaks into each ear, fitted at the
+            // expected tones if the measured ones are too close to tell apart
+            const tones = measuredBeat !== null && measuredBeat > binWidth / 2 ? peaks : [expected.left[0], expected.right[0]];
+            const separation = Math.min(...[left, right].map((samples, index) => {
+                const [own, other] = SignalDiagnostics.toneAmplitudes(samples.subarray(0, size), sampleRate, [tones[index], tones[1 - index]]);
+                return SignalAnalysis.toDecibels(own / other);
+            }));
+            checks.push({
+                id: 'separation',
+                label: 'Channel separation',
+                expected: `At least ${MIN_SEPARATION_DB} dB`,
+                measured: separation > 90 ? 'Over 90 dB' : formatDb(separation),
+                pass: separation >= MIN_SEPARATION_DB
+            });
+        } else {
+            // The beat is a pulse in the loudness, heard the same in both ears
+            const mono = new Float32Array(size);
+            for (let i = 0; i < size; i++) {
+                mono[i] = (left[i] + right[i]) / 2;
+            }
+            const measuredBeat = SignalDiagnostics.envelopeRate(mono, size, sampleRate, beat * 0.5, beat * 1.5);
+            checks.push({
+                id: 'beat',
+                label: 'Beat (loudness pulse)',
+                expected: formatHz(beat),
+                measured: measuredBeat === null ? 'Not measurable' : formatHz(measuredBeat),
+                pass: measuredBeat !== null && Math.abs(measuredBeat - beat) <= tolerance
+            });
+            checks.push({
+                id: 'separation',
+                label: 'Channel separation',
+                expected: 'Not needed',
+                measured: `${mode === 'monaural' ? 'Monaural' : 'Isochronic'} beats play in both ears`,
+                pass: null
+            });
+        }
+    }
+}
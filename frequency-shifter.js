@@ -0,0 +1,87 @@
+// Binaural frequency shifting for Bee Neural Beats
+//
+// Moves every frequency in a signal by a fixed number of Hz (not a pitch
+// ratio), so a beat can be carried by music: the left ear gets the music
+// shifted down by beat/2 and the right ear shifted up by beat/2.
+//
+// The input is folded to mono and split into two paths 90° apart by a pair
+// of allpass networks (Olli Niemitalo's 4+4 section Hilbert approximation).
+// With I and Q those paths and w = 2π·beat/2:
+//   left  = I·cos(wt) - Q·sin(wt)   (shifted down)
+//   right = I·cos(wt) + Q·sin(wt)   (shifted up)
+import { Waveforms } from './waveforms.js';
+
+export class FrequencyShifter {
+    static get coefficients() {
+        return {
+            i: [0.6923878, 0.9360654322959, 0.9882295226860, 0.9987488452737],
+            q: [0.4021921162426, 0.8561710882420, 0.9722909545651, 0.9952884791278]
+        };
+    }
+
+    // y[n] = a²·(x[n] + y[n-2]) - x[n-2]
+    static createAllpassChain(context, input, coefficients, delayed) {
+        let node = input;
+
+        if (delayed) {
+            const delay = context.createIIRFilter([0, 1], [1]);
+            node.connect(delay);
+            node = delay;
+        }
+
+        coefficients.forEach(a => {
+            const a2 = a * a;
+            const section = context.createIIRFilter([a2, 0, -1], [1, 0, -a2]);
+            node.connect(section);
+            node = section;
+        });
+
+        return node;
+    }
+
+    // Returns { input, output, voices }. The two voices are the cos/sin
+    // modulators at beat/2, in the same { oscillator, frequencyFor, wave }
+    // form as the tone voices so beat glides and programs drive them too.
+    static create(context, beatFreq) {
+        const now = context.currentTime;
+
+        const input = context.createGain();
+        input.channelCount = 1;
+        input.channelCountMode = 'explicit';
+        input.channelInterpretation = 'speakers';
+
+        const coefficients = FrequencyShifter.coefficients;
+        const pathI = FrequencyShifter.createAllpassChain(context, input, coefficients.i, true);
+        const pathQ = FrequencyShifter.createAllpassChain(context, input, coefficients.q, false);
+
+        // Ring modulators: a gain at 0 whose gain param is driven by an oscillator
+        const modulate = (source, wave) => {
+            const oscillator = context.createOscillator();
+            oscillator.setPeriodicWave(Waveforms.toPeriodicWave(context, wave));
+            oscillator.frequency.setValueAtTime(beatFreq / 2, now);
+
+            const gain = context.createGain();
+            gain.gain.setValueAtTime(0, now);
+            oscillator.connect(gain.gain);
+            source.connect(gain);
+
+            return { gain, voice: { oscillator, frequencyFor: (beat) => beat / 2, wave } };
+        };
+
+        const cosine = { real: new Float32Array([0, 1]), imag: new Float32Array([0, 0]), offset: 0 };
+        const inPhase = modulate(pathI, cosine);
+        const quadrature = modulate(pathQ, Waveforms.sine());
+
+        const inverted = context.createGain();
+        inverted.gain.setValueAtTime(-1, now);
+        quadrature.gain.connect(inverted);
+
+        const output = context.createChannelMerger(2);
+        inPhase.gain.connect(output, 0, 0);
+        inPhase.gain.connect(output, 0, 1);
+        inverted.connect(output, 0, 0);
+        quadrature.gain.connect(output, 0, 1);
+
+        return { input, output, voices: [inPhase.voice, quadrature.voice] };
+    }
+}
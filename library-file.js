@@ -0,0 +1,315 @@
+// Portable library files for Bee Neural Beats
+//
+// A library is a JSON document holding generator state and user presets
+// (fixed settings or multi-stage programs, each with its layer settings):
+//   { "format": "bee-neural-beats", "version": 1, "exported": "...",
+//     "state": { carrier, beat, volume, mode, isochronic, timbre, noise, layers, fadeIn, fadeOut },
+//     "presets": [{ name, carrier, beat, volume, mode, isochronic, timbre, noise, layers, stages }] }
+// Both sections are optional. Unlike share links, a malformed file is
+// rejected as a whole, with the first problems listed by their JSON path.
+import { Waveforms } from './waveforms.js';
+import { BeatLayers } from './beat-layers.js';
+import { ShareLink } from './share-link.js';
+import { BreathingPacer } from './breathing.js';
+
+export class LibraryFile {
+    static get format() {
+        return 'bee-neural-beats';
+    }
+
+    static get version() {
+        return 1;
+    }
+
+    static create({ state = null, presets = [] }) {
+        const library = {
+            format: LibraryFile.format,
+            version: LibraryFile.version,
+            exported: new Date().toISOString()
+        };
+        if (state) {
+            library.state = state;
+        }
+        library.presets = presets.map(({ id, ...preset }) => preset);
+
+        return JSON.stringify(library, null, 2);
+    }
+
+    // Returns { state, presets }, or throws an Error describing what's wrong.
+    // `options` supplies the slider limits, the bands, the timbres and the noise layer types.
+    static parse(text, options) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`This file is not valid JSON (${error.message}).`);
+        }
+
+        if (!data || typeof data !== 'object' || data.format !== LibraryFile.format) {
+            throw new Error('This is not a Bee Neural Beats library file.');
+        }
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            throw new Error('This library file has no valid format version.');
+        }
+        if (data.version > LibraryFile.version) {
+            throw new Error(`This library was saved by a newer version of the app (format ${data.version}). Update the app to import it.`);
+        }
+
+        const errors = [];
+        const state = data.state !== undefined ? LibraryFile.readSettings(data.state, 'state', options, errors, false) : null;
+
+        let presets = [];
+        if (data.presets !== undefined) {
+            if (!Array.isArray(data.presets)) {
+                errors.push('presets must be a list');
+            } else {
+                presets = data.presets.map((preset, index) =>
+                    LibraryFile.readSettings(preset, `presets[${index}]`, options, errors, true));
+            }
+        }
+
+        if (errors.length) {
+            const more = errors.length > 5 ? ` (and ${errors.length - 5} more)` : '';
+            throw new Error(`This library file has problems: ${errors.slice(0, 5).join('; ')}${more}.`);
+        }
+        if (!state && !presets.length) {
+            throw new Error('This library file has no settings or presets in it.');
+        }
+
+        return { state, presets };
+    }
+
+    // Copy the known fields of a state or preset, checking each one. Problems
+    // are added to `errors` as "path message" strings.
+    static readSettings(value, path, options, errors, isPreset) {
+        const result = {};
+        const limits = options.limits;
+
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            errors.push(`${path} must be an object`);
+            return result;
+        }
+
+        const number = (key, range, required = false) => {
+            const raw = value[key];
+            if (raw === undefined) {
+                if (required) errors.push(`${path}.${key} is missing`);
+                return;
+            }
+            if (typeof raw !== 'number' || !Number.isFinite(raw) || raw < range.min || raw > range.max) {
+                errors.push(`${path}.${key} must be a number from ${range.min} to ${range.max}`);
+                return;
+            }
+            result[key] = raw;
+        };
+
+        const choice = (object, key, allowed, objectPath) => {
+            if (object[key] === undefined || object[key] === null) return undefined;
+            if (!allowed.includes(object[key])) {
+                errors.push(`${objectPath}.${key} must be one of ${allowed.join(', ')}`);
+                return undefined;
+            }
+            return object[key];
+        };
+
+        if (isPreset) {
+            if (typeof value.name !== 'string' || !value.name.trim()) {
+                errors.push(`${path}.name must be a non-empty string`);
+            } else {
+                result.name = value.name.trim().slice(0, 40);
+            }
+        }
+
+        number('carrier', limits.carrier, isPreset);
+        number('beat', limits.beat, isPreset && value.stages === undefined);
+        number('volume', limits.volume);
+        if (!isPreset) {
+            number('fadeIn', limits.fade);
+            number('fadeOut', limits.fade);
+        }
+
+        const mode = choice(value, 'mode', ShareLink.modes, path);
+        if (mode) result.mode = mode;
+
+        const band = choice(value, 'band', options.bands, path);
+        if (band) result.band = band;
+
+        if (value.isochronic !== undefined) {
+            const isochronic = value.isochronic || {};
+            const isoPath = `${path}.isochronic`;
+            const duty = isochronic.duty;
+            result.isochronic = {};
+            if (duty !== undefined) {
+                if (typeof duty !== 'number' || duty < limits.duty.min / 100 || duty > limits.duty.max / 100) {
+                    errors.push(`${isoPath}.duty must be a number from ${limits.duty.min / 100} to ${limits.duty.max / 100}`);
+                } else {
+                    result.isochronic.duty = duty;
+                }
+            }
+            const shape = choice(isochronic, 'shape', ShareLink.shapes, isoPath);
+            if (shape) result.isochronic.shape = shape;
+        }
+
+        if (value.timbre !== undefined) {
+            const timbre = value.timbre || {};
+            const type = choice(timbre, 'type', options.timbres, `${path}.timbre`);
+            if (type) {
+                result.timbre = { type };
+                if (timbre.harmonics !== undefined) {
+                    const harmonics = timbre.harmonics;
+                    const valid = Array.isArray(harmonics) && harmonics.length <= Waveforms.maxHarmonics &&
+                        harmonics.every(level => typeof level === 'number' && level >= 0 && level <= 1);
+                    if (valid) {
+                        result.timbre.harmonics = harmonics.slice();
+                    } else {
+                        errors.push(`${path}.timbre.harmonics must be up to ${Waveforms.maxHarmonics} levels from 0 to 1`);
+                    }
+                }
+            } else if (timbre.type === undefined) {
+                errors.push(`${path}.timbre.type is missing`);
+            }
+        }
+
+        if (value.noise !== undefined) {
+            result.noise = LibraryFile.readNoise(value.noise, `${path}.noise`, options.noiseTypes, errors);
+        }
+
+        if (value.layers !== undefined) {
+            result.layers = LibraryFile.readLayers(value.layers, `${path}.layers`, limits, errors);
+        }
+
+        if (value.stages !== undefined) {
+            result.stages = LibraryFile.readStages(value.stages, `${path}.stages`, limits, errors);
+        }
+
+        return result;
+    }
+
+    static readNoise(value, path, types, errors) {
+        const noise = {};
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            errors.push(`${path} must be an object of layers`);
+            return noise;
+        }
+
+        Object.entries(value).forEach(([type, layer]) => {
+            const layerPath = `${path}.${type}`;
+            if (!types.includes(type)) {
+                errors.push(`${layerPath} is not a known layer (${types.join(', ')})`);
+                return;
+            }
+            if (!layer || typeof layer !== 'object') {
+                errors.push(`${layerPath} must be an object`);
+                return;
+            }
+
+            noise[type] = { enabled: !!layer.enabled };
+            [['level', 0, 100], ['lowpass', 20, 20000], ['highpass', 20, 20000]].forEach(([key, min, max]) => {
+                if (layer[key] === undefined) return;
+                if (typeof layer[key] !== 'number' || layer[key] < min || layer[key] > max) {
+                    errors.push(`${layerPath}.${key} must be a number from ${min} to ${max}`);
+                } else {
+                    noise[type][key] = layer[key];
+                }
+            });
+        });
+
+        return noise;
+    }
+
+    // Extra beat layers: carrier and beat are required, the rest falls back to defaults
+    static readLayers(value, path, limits, errors) {
+        if (!Array.isArray(value) || value.length > BeatLayers.maxLayers) {
+            errors.push(`${path} must be a list of up to ${BeatLayers.maxLayers} layers`);
+            return [];
+        }
+
+        return value.map((layer, index) => {
+            const layerPath = `${path}[${index}]`;
+            const result = {};
+            if (!layer || typeof layer !== 'object') {
+                errors.push(`${layerPath} must be an object`);
+                return result;
+            }
+
+            [['carrier', limits.carrier, true], ['beat', limits.beat, true], ['gain', limits.layerGain, false]].forEach(([key, range, required]) => {
+                if (layer[key] === undefined && !required) return;
+                if (typeof layer[key] !== 'number' || layer[key] < range.min || layer[key] > range.max) {
+                    errors.push(`${layerPath}.${key} must be a number from ${range.min} to ${range.max}`);
+                } else {
+                    result[key] = layer[key];
+                }
+            });
+
+            if (layer.mode !== undefined) {
+                if (BeatLayers.modes.includes(layer.mode)) {
+                    result.mode = layer.mode;
+                } else {
+                    errors.push(`${layerPath}.mode must be one of ${BeatLayers.modes.join(', ')}`);
+                }
+            }
+            ['muted', 'solo'].forEach(key => {
+                if (layer[key] !== undefined) result[key] = !!layer[key];
+            });
+
+            return result;
+        });
+    }
+
+    // Stages may be zero minutes long: such a hold just sets where the next ramp starts
+    static readStages(value, path, limits, errors) {
+        if (!Array.isArray(value) || !value.length) {
+            errors.push(`${path} must be a non-empty list`);
+            return [];
+        }
+
+        const stages = value.map((stage, index) => {
+            const stagePath = `${path}[${index}]`;
+            const result = {};
+            if (!stage || typeof stage !== 'object') {
+                errors.push(`${stagePath} must be an object`);
+                return result;
+            }
+
+            if (typeof stage.minutes !== 'number' || !(stage.minutes >= 0) || stage.minutes > 240) {
+                errors.push(`${stagePath}.minutes must be a number from 0 to 240`);
+            } else {
+                result.minutes = stage.minutes;
+            }
+
+            if (typeof stage.beat !== 'number' || stage.beat < limits.beat.min || stage.beat > limits.beat.max) {
+                errors.push(`${stagePath}.beat must be a number from ${limits.beat.min} to ${limits.beat.max}`);
+            } else {
+                result.beat = stage.beat;
+            }
+
+            if (stage.carrier !== undefined) {
+                if (typeof stage.carrier !== 'number' || stage.carrier < limits.carrier.min || stage.carrier > limits.carrier.max) {
+                    errors.push(`${stagePath}.carrier must be a number from ${limits.carrier.min} to ${limits.carrier.max}`);
+                } else {
+                    result.carrier = stage.carrier;
+                }
+            }
+
+            if (stage.breathing !== undefined) {
+                const patterns = ['off', ...Object.keys(BreathingPacer.patterns)];
+                if (!patterns.includes(stage.breathing)) {
+                    errors.push(`${stagePath}.breathing must be one of ${patterns.join(', ')}`);
+                } else {
+                    result.breathing = stage.breathing;
+                }
+            }
+
+            if (stage.ramp !== undefined) result.ramp = !!stage.ramp;
+            if (typeof stage.label === 'string' && stage.label.trim()) result.label = stage.label.trim().slice(0, 60);
+
+            return result;
+        });
+
+        if (!stages.some(stage => stage.minutes > 0)) {
+            errors.push(`${path} must add up to more than 0 minutes`);
+        }
+
+        return stages;
+    }
+}
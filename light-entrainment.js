@@ -0,0 +1,109 @@
+// Visual entrainment for Bee Neural Beats
+//
+// A light that flickers or pulses with the base beat, phase-locked on the
+// audio clock: the beat the oscillators are really at (AudioEngine.liveBeat())
+// is integrated on context time from the moment each graph starts, so glides,
+// programs and drifts stay in step, and the light is shown at the phase being
+// heard rather than the one being rendered. Phase 0 is the top of the beat:
+// where the two tones line up, or where an isochronic pulse starts.
+//
+// Photosensitivity: flashing between 3 and 30 Hz is the range most likely to
+// trigger seizures, and faster beats alias back into it on a 60 Hz screen. So
+// unless explicitly overridden, any beat from 3 Hz up flashes on a subharmonic
+// (every 2nd, 3rd, ... beat) no faster than 3 Hz, in line with WCAG's three
+// flashes a second, and at no more than 10% contrast.
+export class LightEntrainment {
+    constructor(engine) {
+        this.engine = engine;
+        this.time = null;
+        this.cycles = null;
+        this.beat = null;
+
+        engine.addEventListener('graphstart', () => {
+            this.time = engine.context.currentTime;
+            this.cycles = 0;
+            this.beat = null;
+        });
+        engine.addEventListener('graphstop', () => {
+            this.cycles = null;
+        });
+    }
+
+    static get styles() {
+        return {
+            flicker: 'Flicker',
+            pulse: 'Color pulse',
+            glow: 'Breathing glow'
+        };
+    }
+
+    // Flash rates in this band (Hz) are capped unless overridden
+    static get riskRange() {
+        return { min: 3, max: 30 };
+    }
+
+    static get safeContrast() {
+        return 0.1;
+    }
+
+    // How the light may follow `beat` at the chosen contrast (0-1). Even when
+    // overridden it never flashes faster than a screen can show.
+    static limit(beat, contrast, override = false) {
+        const { min, max } = LightEntrainment.riskRange;
+        const capped = !override && beat >= min;
+        const divisor = Math.max(1, Math.ceil(beat / (capped ? min : max) - 1e-9));
+        return {
+            rate: beat / divisor,
+            divisor,
+            contrast: capped ? Math.min(contrast, LightEntrainment.safeContrast) : contrast,
+            capped
+        };
+    }
+
+    // Brightness (0-1) at a point in the light's cycle, phase 0 being its peak.
+    // `duty` is the lit share of a flicker.
+    static level(style, phase, duty = 0.5) {
+        const position = ((phase % 1) + 1) % 1;
+        if (style === 'flicker') {
+            return position < duty / 2 || position >= 1 - duty / 2 ? 1 : 0;
+        }
+        return 0.5 + 0.5 * Math.cos(2 * Math.PI * position);
+    }
+
+    // Light colour for a brightness and contrast: warm gold, never a saturated
+    // red, dimming by at most `contrast`; the pulse style also shifts toward amber
+    static color(style, level, contrast) {
+        const brightness = 1 - contrast * (1 - level);
+        const green = style === 'pulse' ? 165 + 50 * level : 215;
+        return `rgb(${Math.round(255 * brightness)}, ${Math.round(green * brightness)}, ${Math.round(60 * brightness)})`;
+    }
+
+    // Context time of the sound reaching the ears right now
+    static heardTime(context) {
+        if (typeof context.getOutputTimestamp === 'function') {
+            const { contextTime, performanceTime } = context.getOutputTimestamp();
+            if (contextTime > 0 && performanceTime > 0) {
+                return contextTime + (performance.now() - performanceTime) / 1000;
+            }
+        }
+        return context.currentTime - (context.outputLatency || context.baseLatency || 0);
+    }
+
+    // Beat cycles since the graph started, as heard, or null while nothing plays.
+    // Call it every frame: each call adds the stretch of beat since the last one.
+    heardCycles() {
+        const context = this.engine.context;
+        const beat = this.engine.liveBeat();
+        if (this.cycles === null || beat === null || !this.engine.isPlaying) return null;
+
+        // Trapezoids follow a linear ramp exactly
+        const time = context.currentTime;
+        const previous = this.beat !== null ? this.beat : beat;
+        this.cycles += (previous + beat) / 2 * Math.max(0, time - this.time);
+        this.time = time;
+        this.beat = beat;
+
+        const heard = LightEntrainment.heardTime(context);
+        return Math.max(0, this.cycles - beat * Math.max(0, time - heard));
+    }
+}
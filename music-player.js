@@ -0,0 +1,195 @@
+// Music playlist for Bee Neural Beats
+//
+// Tracks are local files decoded to AudioBuffers. Playback is scheduled on the
+// audio clock: each track is queued a second before it's due, overlapping the
+// previous one by `crossfade` seconds (0 = gapless). A lone track with no
+// crossfade loops sample-exactly. The position is kept across stop/start, so
+// pausing and resuming (or rebuilding the graph) picks up where it left off.
+export class MusicPlayer {
+    constructor() {
+        this.tracks = [];
+        this.crossfade = 3;
+        this.loop = true;
+        this.index = 0;
+        this.offset = 0;
+        this.session = null;
+    }
+
+    static get maxTracks() {
+        return 20;
+    }
+
+    // Resolves to an AudioBuffer; Safari only has the callback form of decodeAudioData
+    static decode(context, file) {
+        return file.arrayBuffer().then(data => new Promise((resolve, reject) => {
+            context.decodeAudioData(data, resolve, () => reject(new Error(`Could not decode ${file.name}.`)));
+        }));
+    }
+
+    get playing() {
+        return this.session !== null;
+    }
+
+    get currentIndex() {
+        return this.session && this.session.current ? this.session.current.index : this.index;
+    }
+
+    add(name, buffer) {
+        if (this.tracks.length >= MusicPlayer.maxTracks) {
+            throw new Error(`The playlist holds up to ${MusicPlayer.maxTracks} tracks.`);
+        }
+        this.tracks.push({ name, buffer });
+    }
+
+    // Tracks after the removed one move up. Removing the current track moves on
+    // to the one taking its place, crossfading if it's playing.
+    remove(index) {
+        const session = this.session;
+        const current = this.currentIndex;
+        this.tracks.splice(index, 1);
+
+        if (index < current) {
+            if (session && session.current) {
+                session.current.index--;
+            }
+            this.index = Math.max(0, this.index - 1);
+            return;
+        }
+        if (index > current) return;
+
+        const next = this.nextIndex(index - 1);
+        if (!session) {
+            this.index = next === null ? 0 : next;
+            this.offset = 0;
+            return;
+        }
+
+        if (next !== null) {
+            this.jump(next);
+            return;
+        }
+
+        // Nothing left to play
+        const fade = Math.max(this.crossfade, 0.05);
+        const now = session.context.currentTime;
+        this.fadeOut(now, fade);
+        this.stop(now + fade);
+        this.index = 0;
+        this.offset = 0;
+    }
+
+    nextIndex(index) {
+        if (index + 1 < this.tracks.length) return index + 1;
+        return this.loop && this.tracks.length ? 0 : null;
+    }
+
+    start(context, destination) {
+        if (this.session || !this.tracks.length) return;
+
+        const output = context.createGain();
+        output.connect(destination);
+        this.session = { context, output, sources: [], current: null, timer: null };
+
+        const index = Math.min(this.index, this.tracks.length - 1);
+        this.playTrack(index, context.currentTime, this.offset, 0.05);
+    }
+
+    // Stop everything at `when`, remembering the position for the next start
+    stop(when) {
+        const session = this.session;
+        if (!session) return;
+
+        clearTimeout(session.timer);
+        this.remember(when);
+        session.sources.forEach(({ source }) => source.stop(when));
+        setTimeout(() => session.output.disconnect(), Math.max(0, when - session.context.currentTime + 0.1) * 1000);
+        this.session = null;
+    }
+
+    remember(when) {
+        const current = this.session.current;
+        if (!current) return;
+
+        const duration = current.buffer.duration;
+        const played = when - current.startedAt;
+        this.index = current.index;
+        this.offset = played > 0 ? (current.offset + played) % duration : current.offset;
+    }
+
+    // Crossfade to another track now, or cue it for the next start
+    jump(index) {
+        if (!this.session) {
+            this.index = index;
+            this.offset = 0;
+            return;
+        }
+
+        const { context } = this.session;
+        const now = context.currentTime;
+        const fade = Math.max(this.crossfade, 0.05);
+
+        this.fadeOut(now, fade);
+        this.playTrack(index, now, 0, fade);
+    }
+
+    // Fade out whatever is playing over `fade` seconds, with nothing queued after it
+    fadeOut(now, fade) {
+        clearTimeout(this.session.timer);
+        this.session.sources.forEach(({ source, gain }) => {
+            gain.gain.cancelScheduledValues(now);
+            gain.gain.setValueAtTime(gain.gain.value, now);
+            gain.gain.linearRampToValueAtTime(0, now + fade);
+            source.stop(now + fade);
+        });
+    }
+
+    playTrack(index, when, offset, fadeIn) {
+        const session = this.session;
+        const track = this.tracks[index];
+        if (!session || !track) return;
+
+        const { context, output } = session;
+        const source = context.createBufferSource();
+        source.buffer = track.buffer;
+
+        const gain = context.createGain();
+        gain.gain.setValueAtTime(0, when);
+        gain.gain.linearRampToValueAtTime(1, when + Math.max(fadeIn, 0.005));
+        source.connect(gain);
+        gain.connect(output);
+
+        const entry = { source, gain };
+        session.sources.push(entry);
+        source.onended = () => {
+            session.sources = session.sources.filter(item => item !== entry);
+        };
+        session.current = { index, buffer: track.buffer, startedAt: when, offset };
+
+        if (this.tracks.length === 1 && this.loop && this.crossfade === 0) {
+            source.loop = true;
+            source.start(when, offset);
+            return;
+        }
+
+        const remaining = track.buffer.duration - offset;
+        const end = when + remaining;
+        const fadeOutAt = Math.max(when + fadeIn, end - this.crossfade);
+        source.start(when, offset);
+        gain.gain.setValueAtTime(1, fadeOutAt);
+        gain.gain.linearRampToValueAtTime(0, end);
+        source.stop(end);
+
+        // The next track starts as this one begins to fade out. It's picked when
+        // it's queued, so tracks removed in the meantime are accounted for.
+        if (this.nextIndex(index) === null) return;
+
+        const current = session.current;
+        const lead = Math.max(0, fadeOutAt - context.currentTime - 1) * 1000;
+        session.timer = setTimeout(() => {
+            const next = this.nextIndex(current.index);
+            if (this.session === session && next !== null) {
+                this.playTrack(next, Math.max(fadeOutAt, context.currentTime), 0, this.crossfade);
+            }
+        }, lead);
+    }
+}
@@ -0,0 +1,177 @@
+// Background noise and ambience layers for Bee Neural Beats
+//
+// Noise is generated procedurally into a looped stereo buffer. The generator
+// is seeded, so every context (live or offline) gets the identical loop and
+// export chunks can pick up exactly where the previous one stopped.
+import { Waveforms } from './waveforms.js';
+
+export class NoiseGenerator {
+    static get types() {
+        return {
+            white: { label: 'White Noise', color: 'white', level: 20, lowpass: 12000, highpass: 20 },
+            pink: { label: 'Pink Noise', color: 'pink', level: 25, lowpass: 10000, highpass: 20 },
+            brown: { label: 'Brown Noise', color: 'brown', level: 30, lowpass: 2000, highpass: 20 },
+            rain: { label: 'Rain', color: 'pink', level: 30, lowpass: 9000, highpass: 700 },
+            ocean: { label: 'Ocean Swells', color: 'brown', level: 35, lowpass: 1200, highpass: 30, swell: 0.08 }
+        };
+    }
+
+    // Full settings for every layer type, all switched off
+    static defaults() {
+        return NoiseGenerator.normalize({});
+    }
+
+    // Fill in anything a saved or partial settings object leaves out
+    static normalize(settings = {}) {
+        const layers = {};
+        Object.entries(NoiseGenerator.types).forEach(([type, info]) => {
+            const saved = settings[type] || {};
+            layers[type] = {
+                enabled: !!saved.enabled,
+                level: saved.level !== undefined ? saved.level : info.level,
+                lowpass: saved.lowpass !== undefined ? saved.lowpass : info.lowpass,
+                highpass: saved.highpass !== undefined ? saved.highpass : info.highpass
+            };
+        });
+        return layers;
+    }
+
+    // Layers sit well under the beats: 100% on the slider is half of full scale
+    static levelToGain(level) {
+        return level / 100 * 0.5;
+    }
+
+    static createSamples(color, sampleRate, seconds = 8) {
+        const key = `${color}:${sampleRate}`;
+        NoiseGenerator.cache = NoiseGenerator.cache || new Map();
+        if (NoiseGenerator.cache.has(key)) return NoiseGenerator.cache.get(key);
+
+        const length = Math.round(sampleRate * seconds);
+        const crossfade = Math.round(sampleRate * 0.5);
+        const channels = [0, 1].map(channel => {
+            const random = NoiseGenerator.seededRandom(channel + 1);
+            const raw = new Float32Array(length + crossfade);
+            let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+            let last = 0;
+
+            for (let i = 0; i < raw.length; i++) {
+                const white = random() * 2 - 1;
+
+                if (color === 'pink') {
+                    // Paul Kellet's pink noise filter
+                    b0 = 0.99886 * b0 + white * 0.0555179;
+                    b1 = 0.99332 * b1 + white * 0.0750759;
+                    b2 = 0.96900 * b2 + white * 0.1538520;
+                    b3 = 0.86650 * b3 + white * 0.3104856;
+                    b4 = 0.55000 * b4 + white * 0.5329522;
+                    b5 = -0.7616 * b5 - white * 0.0168980;
+                    raw[i] = (b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362) * 0.11;
+                    b6 = white * 0.115926;
+                } else if (color === 'brown') {
+                    last = (last + 0.02 * white) / 1.02;
+                    raw[i] = last * 3.5;
+                } else {
+                    raw[i] = white * 0.5;
+                }
+            }
+
+            // Blend the tail into the head so the loop point is seamless
+            const samples = raw.slice(0, length);
+            for (let i = 0; i < crossfade; i++) {
+                const mix = i / crossfade;
+                samples[i] = raw[i] * mix + raw[length + i] * (1 - mix);
+            }
+            return samples;
+        });
+
+        NoiseGenerator.cache.set(key, channels);
+        return channels;
+    }
+
+    // mulberry32 - small, fast and repeatable
+    static seededRandom(seed) {
+        let state = seed * 0x9E3779B9;
+        return () => {
+            state = (state + 0x6D2B79F5) | 0;
+            let t = Math.imul(state ^ (state >>> 15), 1 | state);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    static createBuffer(context, color) {
+        const samples = NoiseGenerator.createSamples(color, context.sampleRate);
+        const buffer = context.createBuffer(2, samples[0].length, context.sampleRate);
+        buffer.copyToChannel(samples[0], 0);
+        buffer.copyToChannel(samples[1], 1);
+        return buffer;
+    }
+
+    // source -> high-pass -> low-pass -> (swell) -> gain -> destination.
+    // `offset` is how many seconds into the layer playback starts, for export chunks.
+    static createLayer(context, destination, type, settings, offset = 0) {
+        const info = NoiseGenerator.types[type];
+        const now = context.currentTime;
+        const buffer = NoiseGenerator.createBuffer(context, info.color);
+
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        source.loop = true;
+
+        const highpass = context.createBiquadFilter();
+        highpass.type = 'highpass';
+        highpass.frequency.setValueAtTime(settings.highpass, now);
+
+        const lowpass = context.createBiquadFilter();
+        lowpass.type = 'lowpass';
+        lowpass.frequency.setValueAtTime(settings.lowpass, now);
+
+        const gain = context.createGain();
+        gain.gain.setValueAtTime(NoiseGenerator.levelToGain(settings.level), now);
+
+        source.connect(highpass);
+        highpass.connect(lowpass);
+
+        const sources = [source];
+        if (info.swell) {
+            // Slow LFO on the level for ocean-style surges
+            const swell = context.createGain();
+            swell.gain.setValueAtTime(0.6, now);
+
+            const lfo = context.createOscillator();
+            const cycles = info.swell * offset;
+            lfo.setPeriodicWave(Waveforms.toPeriodicWave(
+                context,
+                Waveforms.phaseShift(Waveforms.sine(), cycles - Math.floor(cycles))
+            ));
+            lfo.frequency.setValueAtTime(info.swell, now);
+
+            const depth = context.createGain();
+            depth.gain.setValueAtTime(0.4, now);
+
+            lfo.connect(depth);
+            depth.connect(swell.gain);
+            lowpass.connect(swell);
+            swell.connect(gain);
+            sources.push(lfo);
+        } else {
+            lowpass.connect(gain);
+        }
+
+        gain.connect(destination);
+
+        return {
+            type,
+            gain,
+            lowpass,
+            highpass,
+            start(when = 0) {
+                source.start(when, offset % buffer.duration);
+                sources.slice(1).forEach(node => node.start(when));
+            },
+            stop(when = 0) {
+                sources.forEach(node => node.stop(when));
+            }
+        };
+    }
+}
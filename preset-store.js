@@ -0,0 +1,69 @@
+// Persistent storage for user presets
+//
+// Presets live in localStorage, which is separate from the service worker's
+// caches, so they survive app updates. The list is stored as an ordered array.
+export class PresetStore {
+    constructor(storageKey = 'bee-neural-beats:presets') {
+        this.storageKey = storageKey;
+        this.presets = this.read();
+    }
+
+    read() {
+        try {
+            const data = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(data) ? data.filter(preset => preset && preset.id && preset.name) : [];
+        } catch (error) {
+            console.error('Error reading saved presets:', error);
+            return [];
+        }
+    }
+
+    write() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.presets));
+        } catch (error) {
+            console.error('Error saving presets:', error);
+            throw new Error('Could not save presets. Storage may be full or disabled.');
+        }
+    }
+
+    list() {
+        return this.presets.slice();
+    }
+
+    get(id) {
+        return this.presets.find(preset => preset.id === id) || null;
+    }
+
+    add(preset) {
+        const saved = { ...preset, id: `user-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}` };
+        this.presets.push(saved);
+        this.write();
+        return saved;
+    }
+
+    update(id, changes) {
+        const preset = this.get(id);
+        if (!preset) return null;
+
+        Object.assign(preset, changes, { id });
+        this.write();
+        return preset;
+    }
+
+    remove(id) {
+        this.presets = this.presets.filter(preset => preset.id !== id);
+        this.write();
+    }
+
+    // Move a preset up (-1) or down (+1) in the list
+    move(id, direction) {
+        const index = this.presets.findIndex(preset => preset.id === id);
+        const target = index + direction;
+        if (index < 0 || target < 0 || target >= this.presets.length) return;
+
+        const [preset] = this.presets.splice(index, 1);
+        this.presets.splice(target, 0, preset);
+        this.write();
+    }
+}
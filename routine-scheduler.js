@@ -0,0 +1,165 @@
+// Recurring listening routines for Bee Neural Beats
+//
+// A routine starts a preset at a local time on chosen weekdays:
+// { id, name, days: [0-6, Sunday = 0], time: 'HH:MM', preset, autoStart, enabled }.
+// Each run is keyed by routine id and due time (ms), and the log records what
+// became of it: started, completed, skipped or missed. The static helpers
+// don't touch localStorage, so the service worker loads this file too.
+class RoutineScheduler {
+    constructor(storageKey = 'bee-neural-beats:routines', logLimit = 200) {
+        this.storageKey = storageKey;
+        this.logLimit = logLimit;
+
+        const data = this.read();
+        this.routines = data.routines;
+        this.log = data.log;
+        this.checkedAt = data.checkedAt;
+    }
+
+    static get dayNames() {
+        return ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    }
+
+    // How late a run can still be started; after that it counts as missed
+    static get grace() {
+        return 10 * 60 * 1000;
+    }
+
+    // Runs missed while the app was closed are only logged this far back
+    static get lookback() {
+        return 7 * 24 * 60 * 60 * 1000;
+    }
+
+    read() {
+        const empty = { routines: [], log: [], checkedAt: Date.now() };
+        try {
+            const data = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (!data) return empty;
+            return {
+                routines: Array.isArray(data.routines) ? data.routines.filter(routine => routine && routine.id) : [],
+                log: Array.isArray(data.log) ? data.log : [],
+                checkedAt: Number(data.checkedAt) || empty.checkedAt
+            };
+        } catch (error) {
+            console.error('Error reading routines:', error);
+            return empty;
+        }
+    }
+
+    write() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                routines: this.routines,
+                log: this.log,
+                checkedAt: this.checkedAt
+            }));
+        } catch (error) {
+            console.error('Error saving routines:', error);
+            throw new Error('Could not save routines. Storage may be full or disabled.');
+        }
+    }
+
+    list() {
+        return this.routines.slice();
+    }
+
+    get(id) {
+        return this.routines.find(routine => routine.id === id) || null;
+    }
+
+    add(routine) {
+        const saved = { ...routine, id: `routine-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}` };
+        this.routines.push(saved);
+        this.write();
+        return saved;
+    }
+
+    update(id, changes) {
+        const routine = this.get(id);
+        if (!routine) return null;
+
+        Object.assign(routine, changes, { id });
+        this.write();
+        return routine;
+    }
+
+    remove(id) {
+        this.routines = this.routines.filter(routine => routine.id !== id);
+        this.write();
+    }
+
+    static runKey(run) {
+        return `${run.routine.id}@${run.due}`;
+    }
+
+    // Every run of the enabled routines due in (from, to], oldest first
+    static occurrences(routines, from, to) {
+        const runs = [];
+
+        routines.filter(routine => routine.enabled).forEach(routine => {
+            const [hours, minutes] = routine.time.split(':').map(Number);
+            const day = new Date(from);
+            day.setHours(0, 0, 0, 0);
+
+            for (; day.getTime() <= to; day.setDate(day.getDate() + 1)) {
+                if (!routine.days.includes(day.getDay())) continue;
+
+                const due = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes).getTime();
+                if (due > from && due <= to) {
+                    runs.push({ routine, due });
+                }
+            }
+        });
+
+        return runs.sort((a, b) => a.due - b.due);
+    }
+
+    static nextRun(routines, now = Date.now()) {
+        return RoutineScheduler.occurrences(routines, now, now + 8 * 24 * 60 * 60 * 1000)[0] || null;
+    }
+
+    // "Weekdays", "Every day", "Mon, Wed, Fri"
+    static formatDays(days) {
+        const sorted = days.slice().sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7));
+        const key = sorted.join(',');
+        if (key === '1,2,3,4,5') return 'Weekdays';
+        if (key === '6,0') return 'Weekends';
+        if (sorted.length === 7) return 'Every day';
+        return sorted.map(day => RoutineScheduler.dayNames[day]).join(', ');
+    }
+
+    // Runs that came due since the last check and aren't logged yet
+    takeDue(now = Date.now()) {
+        const from = Math.max(this.checkedAt, now - RoutineScheduler.lookback);
+        const runs = RoutineScheduler.occurrences(this.routines, from, now).filter(run => !this.entryFor(run));
+        this.checkedAt = now;
+        this.write();
+        return runs;
+    }
+
+    entryFor(run) {
+        const key = RoutineScheduler.runKey(run);
+        return this.log.find(entry => entry.key === key) || null;
+    }
+
+    // Log a run's outcome; a later status replaces an earlier one for the same run
+    record(run, status, details = {}) {
+        let entry = this.entryFor(run);
+        if (!entry) {
+            entry = {
+                key: RoutineScheduler.runKey(run),
+                routine: run.routine.id,
+                name: run.routine.name,
+                due: new Date(run.due).toISOString()
+            };
+            this.log.push(entry);
+        }
+
+        Object.assign(entry, { status, at: new Date().toISOString() }, details);
+        if (this.log.length > this.logLimit) {
+            this.log.splice(0, this.log.length - this.logLimit);
+        }
+        this.write();
+        return entry;
+    }
+}
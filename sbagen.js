@@ -0,0 +1,208 @@
+// SBaGen script import for Bee Neural Beats
+//
+// Converts an .sbg session script into a preset. Tone-sets are defined as
+// `name: 200+10/20 pink/30` and played by timed lines such as `NOW alpha ->`,
+// `+00:10:00 theta` or `22:00 == deep`. Each tone-set's first binaural (or
+// isochronic, `200@10/20`) tone becomes a stage; a trailing `->` glides to
+// the next tone-set. Noise layers are merged into the preset's background
+// layers. Amplitudes, fades and effects like bell/spin/mix have no
+// equivalent here and are reported as notices rather than treated as errors.
+export class SbagenScript {
+    // Hold for the last tone-set when the script doesn't say when it ends
+    static get finalMinutes() {
+        return 10;
+    }
+
+    // Returns { preset, notices }; throws an Error for scripts that can't be read
+    static parse(text, name, limits) {
+        const notices = [];
+        const toneSets = {};
+        const entries = [];
+        let immediate = null;
+        let base = 0;
+
+        text.split(/\r?\n/).forEach((rawLine, index) => {
+            const line = rawLine.replace(/#.*$/, '').trim();
+            const where = `Line ${index + 1}`;
+            if (!line) return;
+
+            // Option lines: only -i (play a tone-set immediately) carries settings
+            if (line.startsWith('-')) {
+                if (/(^|\s)-p\b/.test(line)) {
+                    throw new Error(`${where}: SBaGen's built-in programs (-p) can't be converted.`);
+                }
+                const option = line.match(/(?:^|\s)-i\s+(.+)$/);
+                if (option) {
+                    immediate = SbagenScript.parseToneSet(option[1], where, notices);
+                }
+                return;
+            }
+
+            const definition = line.match(/^([A-Za-z][\w.-]*)\s*:\s*(.*)$/);
+            if (definition) {
+                toneSets[definition[1]] = SbagenScript.parseToneSet(definition[2], where, notices);
+                return;
+            }
+
+            const timed = line.match(/^(NOW|\d{1,2}:\d{2}(?::\d{2})?)?((?:\+\d{1,2}:\d{2}(?::\d{2})?)*)\s+(?:[<=-][>=-]\s+)?([\w.-]+)\s*(->)?$/i);
+            if (!timed || (!timed[1] && !timed[2])) {
+                throw new Error(`${where}: "${line}" is not a tone-set or a timed line.`);
+            }
+
+            // Relative times count from the last absolute time (NOW or a clock time)
+            if (timed[1]) {
+                base = timed[1].toUpperCase() === 'NOW' ? 0 : SbagenScript.seconds(timed[1]);
+            }
+            const offsets = (timed[2].match(/\d[\d:]*/g) || []).reduce((sum, part) => sum + SbagenScript.seconds(part), 0);
+            entries.push({ time: base + offsets, name: timed[3], slide: !!timed[4], where });
+        });
+
+        if (!entries.length) {
+            if (immediate && immediate.tone) {
+                return { preset: SbagenScript.toPreset(name, [], immediate, limits, notices), notices: Array.from(new Set(notices)) };
+            }
+            throw new Error('No timed sequence was found in this SBaGen file.');
+        }
+
+        // Clock times that pass midnight carry on into the next day
+        entries.forEach((entry, index) => {
+            const previous = entries[index - 1];
+            while (previous && entry.time < previous.time) {
+                entry.time += 24 * 60 * 60;
+            }
+            entry.set = toneSets[entry.name];
+            if (!entry.set) {
+                throw new Error(`${entry.where}: the tone-set "${entry.name}" is not defined.`);
+            }
+        });
+
+        const preset = SbagenScript.toPreset(name, entries, null, limits, notices);
+        return { preset, notices: Array.from(new Set(notices)) };
+    }
+
+    static seconds(time) {
+        const [hours, minutes, seconds = 0] = time.split(':').map(Number);
+        return hours * 3600 + minutes * 60 + seconds;
+    }
+
+    // A tone-set as { tone: { carrier, beat, isochronic } | null, noise: { type: level } }
+    static parseToneSet(spec, where, notices) {
+        const tones = [];
+        const noise = {};
+        const number = '(\\d+(?:\\.\\d+)?)';
+
+        spec.split(/\s+/).forEach(token => {
+            let match;
+            if (!token || token === '-') return;
+
+            if ((match = token.match(new RegExp(`^${number}[+-]${number}/${number}$`)))) {
+                tones.push({ carrier: parseFloat(match[1]), beat: parseFloat(match[2]), isochronic: false });
+            } else if ((match = token.match(new RegExp(`^${number}@${number}/${number}$`)))) {
+                tones.push({ carrier: parseFloat(match[1]), beat: parseFloat(match[2]), isochronic: true });
+            } else if ((match = token.match(new RegExp(`^${number}/${number}$`)))) {
+                tones.push({ carrier: parseFloat(match[1]), beat: 0, isochronic: false });
+            } else if ((match = token.match(new RegExp(`^(pink|white|brown)/${number}$`)))) {
+                // SBaGen amplitudes are % of full scale; layer levels are % of half scale
+                noise[match[1]] = Math.min(100, Math.round(parseFloat(match[2]) * 2));
+            } else if (/^(mix\/|bell|spin:|wave\d+:)/.test(token)) {
+                notices.push(`${token.match(/^[a-z]+/)[0]} tones have no equivalent and were left out.`);
+            } else {
+                throw new Error(`${where}: "${token}" is not a tone this importer understands.`);
+            }
+        });
+
+        if (tones.length > 1) {
+            notices.push('Tone-sets with several tones use only the first one.');
+        }
+
+        return { tone: tones[0] || null, noise };
+    }
+
+    static toPreset(name, entries, immediate, limits, notices) {
+        const clamp = (value, range, label) => {
+            const clamped = Math.max(range.min, Math.min(range.max, value));
+            if (clamped !== value) {
+                notices.push(`${label} outside ${range.min}–${range.max} Hz were moved into range.`);
+            }
+            return clamped;
+        };
+        const toneOf = (tone) => ({
+            beat: clamp(tone.beat, limits.beat, 'Beats'),
+            carrier: clamp(tone.carrier, limits.carrier, 'Carriers')
+        });
+
+        // Background layers: every layer any tone-set uses, at its loudest level
+        const noise = {};
+        const sets = immediate ? [immediate] : entries.map(entry => entry.set);
+        sets.forEach(set => {
+            Object.entries(set.noise).forEach(([type, level]) => {
+                noise[type] = { enabled: true, level: Math.max(level, noise[type] ? noise[type].level : 0) };
+            });
+        });
+
+        const isochronic = sets.filter(set => set.tone).map(set => set.tone.isochronic);
+        if (isochronic.includes(true) && isochronic.includes(false)) {
+            notices.push('Binaural and isochronic tones are mixed; the whole session plays as isochronic.');
+        }
+        const mode = isochronic.includes(true) ? 'isochronic' : 'binaural';
+
+        if (immediate) {
+            return { name, ...toneOf(immediate.tone), mode, noise };
+        }
+
+        // Tone-sets without a tone (silence or noise only) keep the previous beat
+        let tone = null;
+        const tones = entries.map((entry, index) => {
+            if (entry.set.tone) {
+                tone = toneOf(entry.set.tone);
+            } else if (tone && index < entries.length - 1) {
+                notices.push('Silent or noise-only periods keep playing the previous beat.');
+            }
+            return tone;
+        });
+
+        const stages = [];
+        let current = null;
+        entries.forEach((entry, index) => {
+            const next = entries[index + 1];
+            const from = tones[index];
+            if (!from) {
+                if (next) notices.push('Silence at the start was left out.');
+                return;
+            }
+
+            let minutes;
+            if (next) {
+                minutes = (next.time - entry.time) / 60;
+            } else if (entry.set.tone || Object.keys(entry.set.noise).length) {
+                minutes = SbagenScript.finalMinutes;
+                notices.push(`The last tone-set has no end time, so it's held for ${SbagenScript.finalMinutes} minutes.`);
+            } else {
+                return;
+            }
+
+            const target = next && entry.slide ? tones[index + 1] : null;
+            if (target) {
+                // A glide starts from this tone-set, so jump there first if the last stage ended elsewhere
+                if (!current || current.beat !== from.beat || current.carrier !== from.carrier) {
+                    stages.push({ label: entry.name, minutes: 0, ...from });
+                }
+                stages.push({ label: `${entry.name} → ${next.name}`, minutes, ...target, ramp: true });
+                current = target;
+            } else {
+                stages.push({ label: entry.name, minutes, ...from });
+                current = from;
+            }
+        });
+
+        if (!stages.some(stage => stage.minutes > 0)) {
+            throw new Error('The SBaGen sequence has no tones to convert.');
+        }
+
+        stages.forEach(stage => {
+            stage.minutes = Math.min(240, Math.round(stage.minutes * 100) / 100);
+        });
+
+        return { name, carrier: stages[0].carrier, mode, noise, stages };
+    }
+}
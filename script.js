@@ -1,14 +1,75 @@
+// Bee Neural Beats page: the controls, displays and everything around the
+// sound (music, sleep timer, history, routines). The sound itself comes from
+// AudioEngine; RoutineScheduler is a classic script because the service
+// worker loads it too.
+import { AudioEngine } from './audio-engine.js';
+import { SessionProgram } from './session.js';
+import { Waveforms } from './waveforms.js';
+import { BeatLayers } from './beat-layers.js';
+import { Tuning } from './tuning.js';
+import { NoiseGenerator } from './noise.js';
+import { FrequencyShifter } from './frequency-shifter.js';
+import { MusicPlayer } from './music-player.js';
+import { PresetStore } from './preset-store.js';
+import { SleepTimer } from './sleep-timer.js';
+import { BreathingPacer } from './breathing.js';
+import { LightEntrainment } from './light-entrainment.js';
+import { AudioKeepalive } from './audio-keepalive.js';
+import { ChannelCalibration } from './calibration.js';
+import { SessionHistory } from './session-history.js';
+import { WavEncoder } from './wav-encoder.js';
+import { SignalAnalysis } from './analysis.js';
+import { SignalDiagnostics } from './diagnostics.js';
+import { ShareLink } from './share-link.js';
+import { LibraryFile } from './library-file.js';
+import { SbagenScript } from './sbagen.js';
+
 class BinauralBeatsGenerator {
     constructor() {
         this.audioContext = null;
-        this.leftOscillator = null;
-        this.rightOscillator = null;
-        this.gainNode = null;
-        this.isPlaying = false;
-        this.startTime = null;
-        this.timerInterval = null;
-        this.wakeLock = null;
+        this.engine = new AudioEngine();
+        this.calibration = new ChannelCalibration();
+        this.outputStage = null;
+        this.calibrationTone = null;
+        this.calibrationDraft = null;
+        this.tuning = { snap: false, a4: 440 };
+        this.music = new MusicPlayer();
+        this.musicMode = 'mix';
+        this.musicBalance = 50;
+        this.musicGain = null;
+        this.playlistIndex = null;
+        this.currentBand = null;
+        this.currentPreset = null;
+        this.mediaTitle = null;
+        this.announcedReadout = null;
+        this.announceTimeout = null;
+        this.isExporting = false;
+        this.exportCancelled = false;
+        this.isDiagnosing = false;
+        this.contextStates = [];
+        this.analysers = null;
+        this.spectrumMode = 'log';
         this.backgroundMode = true;
+        this.keepalive = new AudioKeepalive({
+            onInterrupted: () => this.engine.interrupt(),
+            onResumed: () => this.engine.recover(),
+            onChange: () => this.updateKeepaliveStatus()
+        });
+        this.sleepTimer = null;
+        this.sleepTail = null;
+        this.breathing = new BreathingPacer();
+        this.breathingActive = null;
+        this.breathingCuedUntil = null;
+        this.light = new LightEntrainment(this.engine);
+        this.lightSettings = { style: 'pulse', contrast: 0.5, override: false };
+        this.lightFrame = null;
+        this.history = new SessionHistory();
+        this.historySampledAt = null;
+        this.routines = new RoutineScheduler();
+        this.routinePrompt = null;
+        this.routineRun = null;
+        this.waitingWorker = null;
+        this.reloadOnUpdate = false;
         this.isSafari = /^((?!chrome|android).)*safari/i.test(navigator.userAgent);
         this.isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent);
         
@@ -21,24 +82,99 @@ class BinauralBeatsGenerator {
             gamma: { min: 30, max: 100, default: 40 }
         };
         
-        // Presets
-        this.presets = {
-            meditation: { carrier: 400, beat: 6, volume: 40 },
-            focus: { carrier: 400, beat: 10, volume: 50 },
-            sleep: { carrier: 300, beat: 2, volume: 30 },
-            creativity: { carrier: 500, beat: 25, volume: 60 }
+        // Built-in presets - multi-stage session programs (durations in minutes)
+        this.builtInPresets = {
+            meditation: {
+                name: 'Deep Meditation',
+                shortName: 'Meditation',
+                icon: '🧘',
+                carrier: 400,
+                volume: 40,
+                stages: [
+                    { label: 'Settle in', minutes: 10, beat: 10, breathing: 'coherent' },
+                    { label: 'Descend to theta', minutes: 15, beat: 6, ramp: true },
+                    { label: 'Deep theta', minutes: 20, beat: 6 },
+                    { label: 'Return to beta', minutes: 5, beat: 14, ramp: true }
+                ],
+                noise: { rain: { enabled: true, level: 20 } }
+            },
+            focus: {
+                name: 'Focus & Study',
+                shortName: 'Focus',
+                icon: '🎯',
+                carrier: 400,
+                volume: 50,
+                stages: [
+                    { label: 'Warm up', minutes: 5, beat: 10 },
+                    { label: 'Rise to beta', minutes: 5, beat: 16, ramp: true },
+                    { label: 'Deep focus', minutes: 40, beat: 16 },
+                    { label: 'Cool down', minutes: 5, beat: 10, ramp: true }
+                ],
+                noise: { pink: { enabled: true, level: 15 } }
+            },
+            sleep: {
+                name: 'Sleep Aid',
+                shortName: 'Sleep',
+                icon: '😴',
+                carrier: 300,
+                volume: 30,
+                stages: [
+                    { label: 'Unwind', minutes: 10, beat: 8, breathing: 'relax' },
+                    { label: 'Drift to theta', minutes: 10, beat: 5, ramp: true },
+                    { label: 'Sink to delta', minutes: 15, beat: 2, ramp: true },
+                    { label: 'Deep sleep', minutes: 30, beat: 2 }
+                ],
+                noise: { brown: { enabled: true, level: 20 }, ocean: { enabled: true, level: 30 } }
+            },
+            creativity: {
+                name: 'Creativity Boost',
+                shortName: 'Creative',
+                icon: '💡',
+                carrier: 500,
+                volume: 60,
+                stages: [
+                    { label: 'Loosen up', minutes: 5, beat: 10 },
+                    { label: 'Dip into theta', minutes: 5, beat: 7, ramp: true },
+                    { label: 'Idea flow', minutes: 15, beat: 7 },
+                    { label: 'Lift to beta', minutes: 5, beat: 25, ramp: true },
+                    { label: 'Build', minutes: 20, beat: 25 }
+                ],
+                noise: {}
+            }
         };
         
+        // User presets are stored locally and listed after the built-ins
+        this.presetStore = new PresetStore();
+        this.presets = {};
+        this.refreshPresets();
+        
         this.init();
         this.registerServiceWorker();
     }
     
     async registerServiceWorker() {
         if ('serviceWorker' in navigator) {
+            document.getElementById('update-reload').addEventListener('click', () => this.applyUpdate());
+            document.getElementById('update-later').addEventListener('click', () => {
+                document.getElementById('update-banner').style.display = 'none';
+            });
+            
+            // Only reload for an update the user asked for, not when the first install claims the page
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                if (this.reloadOnUpdate) {
+                    window.location.reload();
+                }
+            });
+            
             try {
                 const registration = await navigator.serviceWorker.register('/sw.js');
                 console.log('Service Worker registered:', registration);
                 
+                // An update installed on an earlier visit may still be waiting
+                if (registration.waiting && navigator.serviceWorker.controller) {
+                    this.showUpdateBanner(registration.waiting);
+                }
+                
                 // Handle service worker updates
                 registration.addEventListener('updatefound', () => {
                     const newWorker = registration.installing;
@@ -46,20 +182,65 @@ class BinauralBeatsGenerator {
                         if (newWorker.state === 'installed' && navigator.serviceWorker.controller) {
                             // New service worker available
                             console.log('New service worker available');
+                            this.showUpdateBanner(newWorker);
                         }
                     });
                 });
+                
+                // Check for a new version whenever the app comes back into view
+                document.addEventListener('visibilitychange', () => {
+                    if (!document.hidden) {
+                        registration.update().catch(error => console.log('Update check failed:', error));
+                    }
+                });
             } catch (error) {
                 console.log('Service Worker registration failed:', error);
             }
         }
     }
     
+    showUpdateBanner(worker) {
+        this.waitingWorker = worker;
+        document.getElementById('update-banner-text').textContent = this.engine.isPlaying
+            ? '✨ A new version is available. Reloading will stop playback.'
+            : '✨ A new version is available.';
+        document.getElementById('update-banner').style.display = 'flex';
+        this.announce('A new version is available');
+    }
+    
+    // The waiting worker takes over on SKIP_WAITING, and controllerchange then reloads the page
+    applyUpdate() {
+        if (!this.waitingWorker) return;
+        
+        this.reloadOnUpdate = true;
+        document.getElementById('update-reload').disabled = true;
+        this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+    }
+    
     async init() {
         try {
+            this.setupEngine();
             this.setupEventListeners();
+            this.renderPresets();
+            this.setupLibraryControls();
+            this.setupCarrierLibrary();
+            this.setupTimbreControls();
+            this.setupBeatLayerControls();
+            this.setupNoiseControls();
+            this.setupMusicControls();
+            this.setupSleepTimerControls();
+            this.setupBreathingControls();
+            this.setupLightControls();
+            this.setupExportControls();
+            this.setupHistoryControls();
+            this.setupDiagnostics();
+            this.setupRoutines();
+            this.applyShareLink();
             this.setupVisualization();
             this.setupMobileOptimizations();
+            this.setupMediaSession();
+            this.setupKeyboardShortcuts();
+            this.setupCalibration();
             this.showUserInteractionPrompt();
         } catch (error) {
             console.error('Error initializing:', error);
@@ -83,32 +264,36 @@ class BinauralBeatsGenerator {
             this.setupIOSAudioHandling();
         }
         
-        // Handle page visibility changes for background audio
+        // Handle page visibility changes for background audio; the keepalive
+        // re-takes the wake lock and resumes the audio on return
         document.addEventListener('visibilitychange', () => {
-            if (this.backgroundMode && this.isPlaying) {
-                if (document.hidden) {
-                    console.log('Page hidden - attempting to maintain audio');
-                    this.handleBackgroundTransition();
-                } else {
-                    console.log('Page visible - resuming audio if needed');
-                    this.handleForegroundTransition();
-                }
+            this.keepalive.handleVisibility();
+            if (this.backgroundMode && this.engine.isPlaying && document.hidden) {
+                console.log('Page hidden - attempting to maintain audio');
+                this.handleBackgroundTransition();
             }
         });
         
         // Handle Safari-specific events
         if (this.isSafari || this.isIOS) {
             document.addEventListener('pagehide', () => {
-                if (this.backgroundMode && this.isPlaying) {
+                if (this.backgroundMode && this.engine.isPlaying) {
                     console.log('Safari page hide - attempting to maintain audio');
                     this.handleBackgroundTransition();
                 }
             });
             
             document.addEventListener('pageshow', () => {
-                if (this.backgroundMode && this.isPlaying) {
-                    console.log('Safari page show - checking audio state');
-                    this.handleForegroundTransition();
+                console.log('Safari page show - checking audio state');
+                this.keepalive.handleVisibility();
+            });
+        }
+        
+        // The service worker pings on background sync; make sure the audio is still running
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                if (event.data && event.data.type === 'MAINTAIN_AUDIO') {
+                    this.keepalive.check();
                 }
             });
         }
@@ -118,465 +303,3014 @@ class BinauralBeatsGenerator {
         if (backgroundToggle) {
             backgroundToggle.addEventListener('change', (e) => {
                 this.backgroundMode = e.target.checked;
+                this.keepalive.setEnabled(this.backgroundMode);
                 console.log('Background mode:', this.backgroundMode ? 'enabled' : 'disabled');
             });
         }
+        
+        this.updateKeepaliveStatus();
     }
     
     setupIOSAudioHandling() {
-        // iOS requires special handling for background audio
+        // iOS requires special handling for background audio; audio session
+        // interruptions are picked up by the keepalive's statechange listener
         document.addEventListener('touchstart', () => {
             if (this.audioContext && this.audioContext.state === 'suspended') {
                 this.audioContext.resume();
             }
         });
+    }
+    
+    // Lock-screen, notification and headset controls
+    setupMediaSession() {
+        if (!('mediaSession' in navigator)) return;
         
-        // Handle iOS audio session interruptions
-        if (this.audioContext) {
-            this.audioContext.addEventListener('statechange', () => {
-                console.log('iOS Audio Context state:', this.audioContext.state);
-                if (this.audioContext.state === 'suspended' && this.isPlaying) {
-                    console.log('Audio context suspended - attempting to resume');
-                    setTimeout(() => {
-                        if (this.audioContext.state === 'suspended') {
-                            this.audioContext.resume();
-                        }
-                    }, 100);
-                }
-            });
-        }
+        const actions = {
+            play: () => {
+                if (!this.engine.isPlaying) this.play();
+            },
+            pause: () => {
+                if (this.engine.isPlaying) this.pause();
+            },
+            stop: () => this.stop(),
+            nexttrack: () => this.stepPreset(1),
+            previoustrack: () => this.stepPreset(-1)
+        };
+        
+        Object.entries(actions).forEach(([action, handler]) => {
+            try {
+                navigator.mediaSession.setActionHandler(action, handler);
+            } catch (error) {
+                console.log(`Media Session action "${action}" not supported`);
+            }
+        });
+        
+        this.updateMediaSession();
     }
     
-    handleBackgroundTransition() {
-        // iOS limitations: We can't actually maintain audio in background
-        // But we can prepare for quick resume
-        if (this.isIOS) {
-            console.log('iOS background transition - audio will pause');
-            this.showIOSBackgroundWarning();
-        }
+    bandFor(beat) {
+        return Object.keys(this.bands).find(band => beat >= this.bands[band].min && beat < this.bands[band].max)
+            || (beat < this.bands.delta.min ? 'delta' : 'gamma');
     }
     
-    handleForegroundTransition() {
-        // Resume audio if it was suspended
-        if (this.audioContext && this.audioContext.state === 'suspended' && this.isPlaying) {
-            this.audioContext.resume().then(() => {
-                console.log('Audio context resumed after foreground transition');
+    updateMediaSession() {
+        if (!('mediaSession' in navigator)) return;
+        
+        const preset = this.presets[this.currentPreset];
+        const beat = this.engine.state.beat;
+        const band = this.bandFor(beat);
+        const title = preset ? preset.name : 'Custom Session';
+        const artist = `${band.charAt(0).toUpperCase()}${band.slice(1)} · ${beat.toFixed(1)} Hz beat`;
+        
+        // Only rebuild the metadata when what it shows has changed
+        if (`${title}|${artist}` !== this.mediaTitle) {
+            this.mediaTitle = `${title}|${artist}`;
+            if ('MediaMetadata' in window) {
+                navigator.mediaSession.metadata = new MediaMetadata({
+                    title,
+                    artist,
+                    album: 'Bee Neural Beats',
+                    artwork: [
+                        { src: '/bee-logo.png', sizes: '1024x1024', type: 'image/png' }
+                    ]
+                });
+            }
+        }
+        
+        const transport = this.engine.transport;
+        navigator.mediaSession.playbackState = this.engine.isPlaying ? 'playing' : (transport === 'paused' ? 'paused' : 'none');
+        
+        if (!navigator.mediaSession.setPositionState) return;
+        
+        // Programs and the sleep timer have a known length; open-ended play doesn't
+        let duration = Infinity;
+        let position = this.engine.elapsed;
+        if (this.engine.program) {
+            duration = this.engine.program.duration;
+            position = this.engine.getSessionElapsed();
+        } else if (this.sleepTimer) {
+            duration = this.sleepTimer.duration;
+            position = this.sleepTimer.elapsedAt(this.audioContext ? this.audioContext.currentTime : 0);
+        }
+        
+        try {
+            navigator.mediaSession.setPositionState({
+                duration,
+                playbackRate: 1,
+                position: Math.min(Math.max(position, 0), duration)
             });
+        } catch (error) {
+            console.log('Media Session position update failed:', error);
         }
     }
     
-    showIOSBackgroundWarning() {
-        const warning = document.createElement('div');
-        warning.id = 'ios-warning';
-        warning.style.cssText = `
-            position: fixed;
-            top: 20px;
-            left: 50%;
-            transform: translateX(-50%);
-            background: rgba(255, 165, 0, 0.9);
-            color: #000000;
-            padding: 15px 25px;
-            border-radius: 8px;
-            z-index: 1001;
-            font-weight: bold;
-            text-align: center;
-            max-width: 90%;
-        `;
-        warning.innerHTML = `
-            <div>📱 iOS Limitation</div>
-            <div style="font-size: 0.9rem; margin-top: 5px;">
-                Audio pauses when switching apps. Tap "Start" to resume.
-            </div>
-        `;
-        document.body.appendChild(warning);
+    // Add the listening time since the last sample at the current settings
+    recordHistory() {
+        if (!this.history.current || this.historySampledAt === null || !this.audioContext) return;
         
-        setTimeout(() => {
-            if (document.body.contains(warning)) {
-                document.body.removeChild(warning);
-            }
-        }, 5000);
+        const now = this.audioContext.currentTime;
+        const { carrier, beat, mode } = this.engine.state;
+        const preset = this.presets[this.currentPreset];
+        
+        this.history.sample(Math.max(0, now - this.historySampledAt), {
+            carrier,
+            beat,
+            mode,
+            band: this.bandFor(beat),
+            preset: preset ? preset.name : null
+        });
+        this.historySampledAt = now;
     }
     
-    showIOSInstructions() {
-        const iosInstructions = document.getElementById('ios-instructions');
-        if (iosInstructions) {
-            iosInstructions.style.display = 'block';
+    finishHistory() {
+        try {
+            const session = this.history.finish();
+            if (session) {
+                console.log(`Session logged: ${this.formatTime(session.duration)} of ${session.preset}`);
+                this.renderHistory();
+            }
             
-            // Auto-hide after 10 seconds
-            setTimeout(() => {
-                iosInstructions.style.display = 'none';
-            }, 10000);
+            // A routine run ends with its session; one too short to log counts as skipped
+            if (this.routineRun) {
+                const run = this.routineRun;
+                this.routineRun = null;
+                this.recordRoutine(run, session ? 'completed' : 'skipped', session ? { duration: session.duration } : {});
+            }
+        } catch (error) {
+            this.showError(error.message);
         }
     }
     
-    showUserInteractionPrompt() {
-        // Create a prompt for user interaction
-        const prompt = document.createElement('div');
-        prompt.id = 'audio-prompt';
-        prompt.style.cssText = `
-            position: fixed;
-            top: 50%;
-            left: 50%;
-            transform: translate(-50%, -50%);
-            background: rgba(0, 0, 0, 0.9);
-            border: 2px solid #FFD700;
-            border-radius: 15px;
-            padding: 30px;
-            color: #FFD700;
-            text-align: center;
-            z-index: 1000;
-            box-shadow: 0 10px 30px rgba(255, 215, 0, 0.5);
-        `;
-        prompt.innerHTML = `
-            <h3>🎵 Audio System Ready</h3>
-            <p>Click anywhere to enable audio for the binaural beats generator.</p>
-            <p><small>Modern browsers require user interaction to start audio.</small></p>
-            <button id="enable-audio" style="
-                background: linear-gradient(135deg, #FFD700, #FFA500);
-                color: #000000;
-                border: none;
-                border-radius: 8px;
-                padding: 12px 24px;
-                font-weight: bold;
-                cursor: pointer;
-                margin-top: 15px;
-            ">Enable Audio</button>
-        `;
-        document.body.appendChild(prompt);
+    setupHistoryControls() {
+        document.getElementById('toggle-history').addEventListener('click', (e) => {
+            const panel = document.getElementById('history-stats');
+            const show = panel.style.display === 'none';
+            panel.style.display = show ? 'block' : 'none';
+            e.currentTarget.textContent = show ? '📊 Hide Stats' : '📊 Show Stats';
+        });
         
-        // Handle user interaction
-        const enableAudio = () => {
+        document.getElementById('export-history-json').addEventListener('click', () => {
+            const blob = new Blob([SessionHistory.toJSON(this.history.list())], { type: 'application/json' });
+            this.downloadBlob(blob, 'bee-neural-beats-history.json');
+        });
+        
+        document.getElementById('export-history-csv').addEventListener('click', () => {
+            const blob = new Blob([SessionHistory.toCSV(this.history.list())], { type: 'text/csv' });
+            this.downloadBlob(blob, 'bee-neural-beats-history.csv');
+        });
+        
+        document.getElementById('clear-history').addEventListener('click', () => {
+            if (!confirm('Delete all listening history?')) return;
             try {
-                this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-                document.body.removeChild(prompt);
-                console.log('Audio context initialized successfully');
-                
-                // Show iOS instructions if on iOS
-                if (this.isIOS) {
-                    this.showIOSInstructions();
-                }
-                
-                // Setup iOS audio handling after context creation
-                if (this.isIOS) {
-                    this.setupIOSAudioHandling();
-                }
+                this.history.clear();
             } catch (error) {
-                console.error('Error creating audio context:', error);
-                this.showError('Failed to create audio context. Please try again.');
+                this.showError(error.message);
             }
+            this.renderHistory();
+        });
+        
+        // Closing the page ends the session as if it had been stopped
+        window.addEventListener('pagehide', () => {
+            if (this.engine.isPlaying) {
+                this.recordHistory();
+            }
+            this.finishHistory();
+        });
+        
+        this.renderHistory();
+    }
+    
+    renderHistory() {
+        const sessions = this.history.list();
+        const stats = SessionHistory.stats(sessions);
+        const minutes = (seconds) => `${Math.round(seconds / 60)} min`;
+        
+        document.getElementById('history-summary').textContent = sessions.length
+            ? `${sessions.length} sessions · ${minutes(stats.total)} total · ` +
+              `${stats.currentStreak}-day streak (best ${stats.longestStreak})`
+            : 'No sessions yet. Stop a session to log it here.';
+        
+        const renderBars = (id, totals, label) => {
+            const container = document.getElementById(id);
+            const largest = Math.max(1, ...Object.values(totals));
+            container.innerHTML = '';
+            
+            Object.entries(totals).forEach(([key, seconds]) => {
+                const row = document.createElement('div');
+                row.className = 'history-bar-row';
+                row.innerHTML = `
+                    <span class="history-bar-label"></span>
+                    <div class="history-bar"><div class="history-bar-fill"></div></div>
+                    <span class="history-bar-value"></span>
+                `;
+                row.querySelector('.history-bar-label').textContent = label(key);
+                row.querySelector('.history-bar-fill').style.width = `${(seconds / largest * 100).toFixed(1)}%`;
+                row.querySelector('.history-bar-value').textContent = minutes(seconds);
+                container.appendChild(row);
+            });
         };
         
-        document.getElementById('enable-audio').addEventListener('click', enableAudio);
-        document.addEventListener('click', enableAudio, { once: true });
+        const capitalize = (text) => `${text.charAt(0).toUpperCase()}${text.slice(1)}`;
+        const bands = {};
+        Object.keys(this.bands).forEach(band => {
+            bands[band] = stats.bands[band] || 0;
+        });
+        
+        renderBars('history-bands', bands, capitalize);
+        renderBars('history-time-of-day', stats.timeOfDay, capitalize);
+        renderBars('history-presets', stats.presets, (name) => name);
+        
+        const recent = document.getElementById('history-recent');
+        recent.innerHTML = '';
+        sessions.slice(-10).reverse().forEach(session => {
+            const item = document.createElement('li');
+            const start = new Date(session.start);
+            item.textContent = `${start.toLocaleDateString()} ${start.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} · ` +
+                `${this.formatTime(session.duration)} · ${session.preset} · ${capitalize(session.band || '')}`;
+            recent.appendChild(item);
+        });
     }
     
-    showError(message) {
-        const errorDiv = document.createElement('div');
-        errorDiv.style.cssText = `
-            position: fixed;
-            top: 20px;
-            left: 50%;
-            transform: translateX(-50%);
-            background: rgba(255, 0, 0, 0.9);
-            color: white;
-            padding: 15px 25px;
-            border-radius: 8px;
-            z-index: 1001;
-            font-weight: bold;
-        `;
-        errorDiv.textContent = message;
-        document.body.appendChild(errorDiv);
+    setupDiagnostics() {
+        document.getElementById('run-diagnostics').addEventListener('click', () => this.runDiagnostics());
+        this.renderAudioSystem();
+    }
+    
+    // Keeps the AudioContext's state changes (suspends, interruptions) for the diagnostics panel
+    watchContextState(context) {
+        const record = () => {
+            this.contextStates.push({ state: context.state, at: Date.now() });
+            this.contextStates = this.contextStates.slice(-20);
+            this.renderAudioSystem();
+        };
+        context.addEventListener('statechange', record);
+        record();
+    }
+    
+    // Renders a few seconds of the current settings through the headphone
+    // calibration and checks what comes out against what the controls say
+    async runDiagnostics() {
+        if (this.isDiagnosing) return;
+        
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        if (!OfflineContext) {
+            this.showError('Offline rendering is not supported in this browser.');
+            return;
+        }
+        
+        const state = this.engine.state;
+        const calibration = this.calibration.settings;
+        const sampleRate = this.audioContext ? this.audioContext.sampleRate : 44100;
+        const status = document.getElementById('diagnostics-status');
+        const button = document.getElementById('run-diagnostics');
+        
+        this.isDiagnosing = true;
+        button.disabled = true;
+        status.textContent = 'Checking…';
+        
+        try {
+            const buffer = await this.engine.renderSnapshot(OfflineContext, SignalDiagnostics.durationFor(state.beat), sampleRate, (context) => {
+                const stage = ChannelCalibration.createOutputStage(context);
+                stage.apply(calibration, 0.01);
+                return stage.input;
+            });
+            const report = SignalDiagnostics.check(buffer, state, { swap: calibration.swap });
+            
+            const notes = [`${report.seconds.toFixed(1)} s at ${report.sampleRate} Hz`];
+            if (calibration.swap) {
+                notes.push('channels swapped by the headphone check');
+            }
+            if (!this.engine.baseTones) {
+                notes.push('the music carries the beat, so only the tones were checked');
+            }
+            status.textContent = `${report.pass ? '✅ Signal matches the settings' : '❌ Signal does not match the settings'} (${notes.join('; ')})`;
+            this.announce(report.pass ? 'Signal check passed' : 'Signal check failed');
+            this.renderDiagnostics(report.checks);
+        } catch (error) {
+            console.error('Error running diagnostics:', error);
+            status.textContent = '';
+            this.showError('Failed to render the signal check.');
+        } finally {
+            this.isDiagnosing = false;
+            button.disabled = false;
+            this.renderAudioSystem();
+        }
+    }
+    
+    renderDiagnostics(checks) {
+        const list = document.getElementById('diagnostics-checks');
+        list.innerHTML = '';
+        
+        checks.forEach(check => {
+            const item = document.createElement('li');
+            item.className = 'diagnostics-check';
+            item.dataset.pass = check.pass === null ? 'info' : String(check.pass);
+            item.innerHTML = `
+                <span class="diagnostics-check-label"></span>
+                <span class="diagnostics-check-values"></span>
+            `;
+            const icon = check.pass === null ? 'ℹ️' : check.pass ? '✅' : '❌';
+            item.querySelector('.diagnostics-check-label').textContent = `${icon} ${check.label}`;
+            item.querySelector('.diagnostics-check-values').textContent = `Expected ${check.expected} · Measured ${check.measured}`;
+            list.appendChild(item);
+        });
+    }
+    
+    renderAudioSystem() {
+        const context = this.audioContext;
+        const latency = (seconds) => typeof seconds === 'number' ? `${(seconds * 1000).toFixed(1)} ms` : 'Not reported';
+        const time = (at) => new Date(at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+        
+        const rows = context ? [
+            ['Sample rate', `${context.sampleRate} Hz`],
+            ['Base latency', latency(context.baseLatency)],
+            ['Output latency', latency(context.outputLatency)],
+            ['Stereo panner', AudioEngine.supportsStereoPanner(context)
+                ? 'createStereoPanner available'
+                : 'createStereoPanner missing, using the channel-merger fallback'],
+            ['State history', this.contextStates.map(({ state, at }) => `${state} ${time(at)}`).join(' → ')]
+        ] : [
+            ['Audio', 'Not started yet. Tap anywhere to enable audio.']
+        ];
+        
+        const list = document.getElementById('diagnostics-system');
+        list.innerHTML = '';
+        rows.forEach(([term, value]) => {
+            const dt = document.createElement('dt');
+            const dd = document.createElement('dd');
+            dt.textContent = term;
+            dd.textContent = value;
+            list.appendChild(dt);
+            list.appendChild(dd);
+        });
+    }
+    
+    setupRoutines() {
+        const days = document.getElementById('routine-days');
+        
+        // Weeks start on Monday; new routines default to weekdays
+        [1, 2, 3, 4, 5, 6, 0].forEach(day => {
+            const label = document.createElement('label');
+            label.className = 'routine-day';
+            label.innerHTML = `<input type="checkbox" value="${day}"${day >= 1 && day <= 5 ? ' checked' : ''}> ${RoutineScheduler.dayNames[day]}`;
+            days.appendChild(label);
+        });
+        
+        document.getElementById('add-routine').addEventListener('click', () => this.addRoutine());
+        document.getElementById('routine-notifications').addEventListener('click', () => this.enableRoutineNotifications());
+        document.getElementById('routine-start').addEventListener('click', () => this.startRoutine(this.routinePrompt));
+        document.getElementById('routine-skip').addEventListener('click', () => this.skipRoutine());
+        
+        document.getElementById('toggle-routine-log').addEventListener('click', (e) => {
+            const log = document.getElementById('routine-log');
+            const show = log.style.display === 'none';
+            log.style.display = show ? 'block' : 'none';
+            e.currentTarget.textContent = show ? '📋 Hide Log' : '📋 Show Log';
+        });
+        
+        // Notification taps land here when the app is already open
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                if (event.data && event.data.type === 'START_ROUTINE') {
+                    this.openRoutine(event.data.routine, event.data.due);
+                }
+            });
+        }
+        
+        // ...and in the hash when the tap opened it: #routine=<id>@<due>
+        const link = window.location.hash.match(/^#routine=([^@]+)@(\d+)$/);
+        if (link) {
+            window.history.replaceState(null, '', window.location.pathname + window.location.search);
+            this.openRoutine(decodeURIComponent(link[1]), Number(link[2]));
+        }
+        
+        this.renderRoutines();
+        this.checkRoutines();
+        setInterval(() => this.checkRoutines(), 30000);
+        this.syncRoutineNotifications();
+    }
+    
+    renderRoutinePresets() {
+        const select = document.getElementById('routine-preset');
+        const selected = select.value;
+        select.innerHTML = '';
+        
+        Object.entries(this.presets).forEach(([id, preset]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = preset.name;
+            select.appendChild(option);
+        });
+        
+        if (this.presets[selected]) {
+            select.value = selected;
+        }
+    }
+    
+    addRoutine() {
+        const preset = document.getElementById('routine-preset').value;
+        const time = document.getElementById('routine-time').value;
+        const days = Array.from(document.querySelectorAll('#routine-days input:checked')).map(input => Number(input.value));
+        const nameInput = document.getElementById('routine-name');
+        
+        if (!time) {
+            this.showError('Choose a start time for the routine.');
+            return;
+        }
+        if (!days.length) {
+            this.showError('Choose at least one day for the routine.');
+            return;
+        }
+        if (!this.presets[preset]) {
+            this.showError('Choose a program for the routine.');
+            return;
+        }
+        
+        try {
+            this.routines.add({
+                name: nameInput.value.trim() || this.presets[preset].name,
+                days,
+                time,
+                preset,
+                autoStart: document.getElementById('routine-auto').checked,
+                enabled: true
+            });
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+        
+        nameInput.value = '';
+        this.renderRoutines();
+        this.syncRoutineNotifications();
+    }
+    
+    // Run a routine change, then refresh the list and the service worker's copy
+    updateRoutines(change) {
+        try {
+            change();
+        } catch (error) {
+            this.showError(error.message);
+        }
+        this.renderRoutines();
+        this.syncRoutineNotifications();
+    }
+    
+    renderRoutines() {
+        const list = document.getElementById('routine-list');
+        const routines = this.routines.list();
+        list.innerHTML = '';
+        
+        routines.forEach(routine => {
+            const preset = this.presets[routine.preset];
+            const item = document.createElement('li');
+            item.className = 'routine-item';
+            item.innerHTML = `
+                <label class="noise-toggle">
+                    <input type="checkbox" aria-label="Enabled">
+                    <span class="routine-summary"></span>
+                </label>
+                <button class="preset-action" data-action="delete" title="Delete">🗑️</button>
+            `;
+            
+            const enabled = item.querySelector('input');
+            enabled.checked = routine.enabled;
+            enabled.addEventListener('change', () => {
+                this.updateRoutines(() => this.routines.update(routine.id, { enabled: enabled.checked }));
+            });
+            
+            item.querySelector('.routine-summary').textContent =
+                `${routine.time} · ${RoutineScheduler.formatDays(routine.days)} · ${routine.name}` +
+                `${preset && preset.name !== routine.name ? ` (${preset.name})` : ''}${routine.autoStart ? ' · auto' : ''}`;
+            
+            item.querySelector('[data-action="delete"]').addEventListener('click', () => {
+                if (confirm(`Delete routine "${routine.name}"?`)) {
+                    this.updateRoutines(() => this.routines.remove(routine.id));
+                }
+            });
+            
+            list.appendChild(item);
+        });
+        
+        const next = RoutineScheduler.nextRun(routines);
+        document.getElementById('routine-next').textContent = next
+            ? `Next: ${next.routine.name}, ${new Date(next.due).toLocaleDateString([], { weekday: 'long' })} at ${next.routine.time}`
+            : routines.length ? 'All routines are switched off.' : 'No routines yet. Add one to start a program at the same time each day.';
+        
+        const statusIcons = { started: '▶️', completed: '✅', skipped: '⏭️', missed: '⏰' };
+        const log = document.getElementById('routine-log');
+        log.innerHTML = '';
+        this.routines.log.slice(-10).reverse().forEach(entry => {
+            const item = document.createElement('li');
+            const due = new Date(entry.due);
+            item.textContent = `${statusIcons[entry.status] || ''} ${due.toLocaleDateString()} ` +
+                `${due.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} · ${entry.name} · ${entry.status}` +
+                `${entry.duration ? ` (${this.formatTime(entry.duration)})` : ''}`;
+            log.appendChild(item);
+        });
+        if (!this.routines.log.length) {
+            log.innerHTML = '<li>No runs yet.</li>';
+        }
+        
+        this.updateRoutineNotificationStatus();
+    }
+    
+    recordRoutine(run, status, details) {
+        try {
+            this.routines.record(run, status, details);
+        } catch (error) {
+            console.error('Error logging routine:', error);
+        }
+        this.renderRoutines();
+    }
+    
+    // Runs late by more than the grace period, or overtaken by a later one, are missed
+    checkRoutines() {
+        const now = Date.now();
+        const prompted = this.routinePrompt ? RoutineScheduler.runKey(this.routinePrompt) : null;
+        let runs;
+        try {
+            runs = this.routines.takeDue(now).filter(run => RoutineScheduler.runKey(run) !== prompted);
+        } catch (error) {
+            console.error('Error checking routines:', error);
+            return;
+        }
+        
+        runs.forEach((run, index) => {
+            if (now - run.due > RoutineScheduler.grace || index < runs.length - 1) {
+                this.recordRoutine(run, 'missed');
+            } else {
+                this.dueRoutine(run);
+            }
+        });
+        
+        // An unanswered prompt runs out with the grace period, unless it came from a notification tap
+        if (this.routinePrompt && !this.routinePrompt.requested && now - this.routinePrompt.due > RoutineScheduler.grace) {
+            this.recordRoutine(this.routinePrompt, 'missed');
+            this.hideRoutinePrompt();
+        }
+        
+        this.renderRoutines();
+    }
+    
+    // Auto-start needs audio that's already unlocked and nothing else playing; otherwise ask
+    dueRoutine(run) {
+        const unlocked = this.audioContext && this.audioContext.state === 'running';
+        if (run.routine.autoStart && unlocked && !this.engine.isPlaying) {
+            this.startRoutine(run);
+        } else {
+            this.showRoutinePrompt(run);
+        }
+        
+        // A backgrounded tab can't show its prompt, so notify as well
+        if (document.hidden) {
+            this.showRoutineNotification(run);
+        }
+    }
+    
+    openRoutine(routineId, due) {
+        const routine = this.routines.get(routineId);
+        if (!routine) return;
+        
+        const run = { routine, due, requested: true };
+        const entry = this.routines.entryFor(run);
+        if (entry && (entry.status === 'started' || entry.status === 'completed')) return;
+        
+        this.showRoutinePrompt(run);
+    }
+    
+    showRoutinePrompt(run) {
+        const preset = this.presets[run.routine.preset];
+        this.routinePrompt = run;
+        
+        document.getElementById('routine-prompt-title').textContent = `⏰ ${run.routine.name}`;
+        document.getElementById('routine-prompt-text').textContent =
+            `${preset ? preset.name : 'Your routine'} was due at ${run.routine.time}. ` +
+            `${this.engine.isPlaying ? 'Starting it replaces what is playing now.' : 'Ready when you are.'}`;
+        document.getElementById('routine-prompt').style.display = 'flex';
+        document.getElementById('routine-start').focus();
+        this.announce(`${run.routine.name} is due`);
+    }
+    
+    hideRoutinePrompt() {
+        this.routinePrompt = null;
+        document.getElementById('routine-prompt').style.display = 'none';
+    }
+    
+    skipRoutine() {
+        if (this.routinePrompt) {
+            this.recordRoutine(this.routinePrompt, 'skipped');
+        }
+        this.hideRoutinePrompt();
+    }
+    
+    startRoutine(run) {
+        if (!run) return;
+        
+        this.hideRoutinePrompt();
+        if (!this.presets[run.routine.preset]) {
+            this.showError(`The program for "${run.routine.name}" no longer exists.`);
+            this.recordRoutine(run, 'skipped');
+            return;
+        }
+        
+        // A session already under way ends here, so it's logged on its own
+        if (this.engine.isPlaying) {
+            this.stop();
+        }
+        
+        this.loadPreset(run.routine.preset);
+        this.routineRun = run;
+        this.recordRoutine(run, 'started');
+        
+        // Same short delay as the quick presets, so a first tap can unlock audio
+        setTimeout(() => {
+            if (!this.engine.isPlaying) this.togglePlayback();
+        }, 100);
+    }
+    
+    async showRoutineNotification(run) {
+        if (!('serviceWorker' in navigator) || !('Notification' in window) || Notification.permission !== 'granted') return;
+        
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            registration.active.postMessage({ type: 'NOTIFY_ROUTINE', run: { routine: run.routine, due: run.due } });
+        } catch (error) {
+            console.log('Routine notification failed:', error);
+        }
+    }
+    
+    async enableRoutineNotifications() {
+        if (!('Notification' in window) || !('serviceWorker' in navigator)) {
+            this.showError('This browser does not support notifications.');
+            return;
+        }
+        
+        const permission = await Notification.requestPermission();
+        this.updateRoutineNotificationStatus();
+        if (permission === 'granted') {
+            this.syncRoutineNotifications();
+        } else {
+            this.showError('Notifications are blocked. Allow them in your browser settings to hear about routines while the app is closed.');
+        }
+    }
+    
+    updateRoutineNotificationStatus() {
+        const status = document.getElementById('routine-notification-status');
+        const button = document.getElementById('routine-notifications');
+        const supported = 'Notification' in window && 'serviceWorker' in navigator;
+        const granted = supported && Notification.permission === 'granted';
+        
+        button.style.display = supported && !granted ? 'inline-block' : 'none';
+        status.textContent = !supported
+            ? 'Notifications aren\'t available in this browser; due routines are shown when the app is open.'
+            : granted
+                ? '🔔 Notifications are on. While the app is closed they are best-effort: only some browsers check in the background, mostly for installed apps and at intervals they choose, so a reminder can come hours late or not at all. Missed runs are logged when you return.'
+                : 'Allow notifications for best-effort reminders while the app is closed.';
+    }
+    
+    // The service worker keeps its own copy of the routines, since it can't read localStorage
+    async syncRoutineNotifications() {
+        if (!('serviceWorker' in navigator)) return;
+        
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            const routines = this.routines.list().map(routine => ({
+                ...routine,
+                program: this.presets[routine.preset] ? this.presets[routine.preset].name : routine.name
+            }));
+            registration.active.postMessage({ type: 'ROUTINES', routines, checkedAt: Date.now() });
+            
+            // Installed apps in some browsers can wake the worker to check for due runs
+            if ('Notification' in window && Notification.permission === 'granted' && 'periodicSync' in registration) {
+                await registration.periodicSync.register('routine-check', { minInterval: 15 * 60 * 1000 });
+            }
+        } catch (error) {
+            console.log('Routine notifications unavailable:', error);
+        }
+    }
+    
+    // Live output and the signal check go through the headphone calibration; exports don't
+    getOutputStage() {
+        if (!this.outputStage || this.outputStage.context !== this.audioContext) {
+            this.outputStage = ChannelCalibration.createOutputStage(this.audioContext);
+            this.outputStage.context = this.audioContext;
+            this.outputStage.apply(this.calibration.settings, 0.01);
+        }
+        return this.outputStage;
+    }
+    
+    setupCalibration() {
+        const wizard = document.getElementById('calibration-wizard');
+        
+        document.getElementById('open-calibration').addEventListener('click', () => this.openCalibration());
+        
+        wizard.querySelectorAll('[data-calibration-step]').forEach(btn => {
+            btn.addEventListener('click', (e) => this.showCalibrationStep(e.currentTarget.dataset.calibrationStep));
+        });
+        
+        wizard.querySelectorAll('[data-heard]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const draft = this.calibrationDraft;
+                const ear = e.currentTarget.closest('[data-step]').dataset.step;
+                draft.heard[ear] = e.currentTarget.dataset.heard;
+                if (ear === 'left') {
+                    this.showCalibrationStep('right');
+                    return;
+                }
+                
+                // Answers are relative to the routing under test, so a swap flips it again
+                draft.verdict = this.calibrationVerdict(draft.heard);
+                if (draft.verdict.swapped) {
+                    draft.swap = !draft.swap;
+                }
+                this.showCalibrationStep('result');
+            });
+        });
+        
+        document.getElementById('calibration-swap').addEventListener('change', (e) => {
+            this.calibrationDraft.swap = e.target.checked;
+            this.previewCalibration();
+        });
+        
+        document.getElementById('calibration-balance').addEventListener('input', (e) => {
+            const balance = parseFloat(e.target.value);
+            Object.assign(this.calibrationDraft, ChannelCalibration.trimsForBalance(balance));
+            this.updateBalanceLabel(balance);
+            this.previewCalibration();
+        });
+        
+        document.getElementById('calibration-save').addEventListener('click', () => {
+            const { swap, left, right } = this.calibrationDraft;
+            try {
+                this.calibration.save({ swap, left, right });
+            } catch (error) {
+                this.showError(error.message);
+            }
+            this.closeCalibration();
+            this.showNotice('Headphone calibration saved.');
+        });
+        
+        document.getElementById('calibration-reset').addEventListener('click', () => {
+            let cleared = true;
+            try {
+                this.calibration.reset();
+            } catch (error) {
+                cleared = false;
+                this.showError(error.message);
+            }
+            this.closeCalibration();
+            if (cleared) {
+                this.showNotice('Headphone calibration cleared.');
+            }
+        });
+        
+        document.getElementById('calibration-cancel').addEventListener('click', () => this.closeCalibration());
+        
+        this.updateCalibrationStatus();
+    }
+    
+    openCalibration() {
+        if (!this.audioContext) {
+            this.showError('Audio system not initialized. Please click to enable audio first.');
+            return;
+        }
+        
+        // The test tones need the output to themselves
+        if (this.engine.isPlaying) {
+            this.pause();
+        }
+        
+        const { swap, left, right } = this.calibration.settings;
+        this.calibrationDraft = { swap, left, right, heard: {} };
+        
+        document.getElementById('calibration-wizard').style.display = 'flex';
+        this.showCalibrationStep('intro');
+    }
+    
+    closeCalibration() {
+        this.stopCalibrationTone();
+        if (window.speechSynthesis) {
+            window.speechSynthesis.cancel();
+        }
+        
+        this.calibrationDraft = null;
+        this.getOutputStage().apply(this.calibration.settings);
+        document.getElementById('calibration-wizard').style.display = 'none';
+        this.updateCalibrationStatus();
+    }
+    
+    showCalibrationStep(step) {
+        const draft = this.calibrationDraft;
+        document.querySelectorAll('#calibration-wizard [data-step]').forEach(panel => {
+            panel.style.display = panel.dataset.step === step ? 'block' : 'none';
+        });
+        
+        this.stopCalibrationTone();
+        
+        if (step === 'left' || step === 'right') {
+            this.playCalibrationTone(step === 'left' ? -1 : 1);
+            this.speak(`${step === 'left' ? 'Left' : 'Right'} ear`);
+        } else if (step === 'result') {
+            document.getElementById('calibration-result').textContent = draft.verdict.message;
+            document.getElementById('calibration-swap').checked = draft.swap;
+            this.previewCalibration();
+        } else if (step === 'balance') {
+            const balance = ChannelCalibration.balanceForTrims(draft.left, draft.right);
+            document.getElementById('calibration-balance').value = balance;
+            this.updateBalanceLabel(balance);
+            this.playCalibrationTone(0);
+            this.speak('Center the tone');
+        }
+        
+        const focusTarget = document.querySelector(`#calibration-wizard [data-step="${step}"] button`);
+        if (focusTarget) focusTarget.focus();
+    }
+    
+    // What the two answers say about the wiring
+    calibrationVerdict(heard) {
+        const answers = [heard.left, heard.right];
+        if (heard.left === 'left' && heard.right === 'right') {
+            return { message: '✅ Both channels reach the right ears.' };
+        }
+        if (heard.left === 'right' && heard.right === 'left') {
+            return { swapped: true, message: '🔁 Your left and right channels are swapped. They will be flipped so each tone reaches the correct ear.' };
+        }
+        if (answers.includes('neither')) {
+            return { message: '🔇 A tone was not heard. Check the volume and that both earpieces are connected, then try again.' };
+        }
+        return { message: '⚠️ The tones did not stay in one ear. This usually means mono output or speakers. Binaural beats need stereo headphones.' };
+    }
+    
+    previewCalibration() {
+        if (this.calibrationDraft) {
+            this.getOutputStage().apply(this.calibrationDraft);
+        }
+    }
+    
+    updateBalanceLabel(balance) {
+        document.getElementById('calibration-balance-value').textContent = balance === 0
+            ? 'Centered'
+            : `${Math.abs(balance)} dB ${balance > 0 ? 'right' : 'left'}`;
+    }
+    
+    // Steady 440 Hz test tone, panned hard left (-1), centered (0) or hard right (1)
+    playCalibrationTone(pan) {
+        const context = this.audioContext;
+        const now = context.currentTime;
+        if (context.state === 'suspended') {
+            context.resume();
+        }
+        
+        const oscillator = context.createOscillator();
+        oscillator.frequency.setValueAtTime(440, now);
+        
+        const gain = context.createGain();
+        gain.gain.setValueAtTime(0, now);
+        gain.gain.linearRampToValueAtTime(0.2, now + 0.1);
+        
+        const panner = AudioEngine.createPanner(context, pan, now);
+        
+        oscillator.connect(gain);
+        gain.connect(panner.input);
+        panner.output.connect(this.getOutputStage().input);
+        oscillator.start(now);
+        
+        this.calibrationTone = { oscillator, gain };
+    }
+    
+    stopCalibrationTone() {
+        if (!this.calibrationTone) return;
+        
+        const { oscillator, gain } = this.calibrationTone;
+        this.engine.rampParam(gain.gain, 0, 0.1);
+        oscillator.stop(this.audioContext.currentTime + 0.15);
+        this.calibrationTone = null;
+    }
+    
+    speak(text) {
+        if (!window.speechSynthesis || !window.SpeechSynthesisUtterance) return;
+        window.speechSynthesis.cancel();
+        window.speechSynthesis.speak(new SpeechSynthesisUtterance(text));
+    }
+    
+    updateCalibrationStatus() {
+        const { calibrated, swap, left, right } = this.calibration.settings;
+        const balance = ChannelCalibration.balanceForTrims(left, right);
+        const parts = [];
+        
+        if (swap) parts.push('channels flipped');
+        if (balance !== 0) parts.push(`balance ${Math.abs(balance)} dB ${balance > 0 ? 'right' : 'left'}`);
+        
+        document.getElementById('calibration-status').textContent = calibrated
+            ? `Calibrated${parts.length ? `: ${parts.join(', ')}` : ''}`
+            : 'Not checked yet';
+    }
+    
+    handleBackgroundTransition() {
+        // Keep the OS treating the page as an active media player
+        this.updateMediaSession();
+        this.keepalive.check();
+        
+        // iOS limitations: We can't actually maintain audio in background
+        // But we can prepare for quick resume
+        if (this.isIOS) {
+            console.log('iOS background transition - audio will pause');
+            this.showIOSBackgroundWarning();
+        }
+    }
+    
+    updateKeepaliveStatus() {
+        const indicator = document.getElementById('keepalive-status');
+        const labels = {
+            off: ['Protection off', 'Background play is off; audio may stop when the screen locks or the app is hidden'],
+            idle: ['Protection ready', 'Background protection starts with playback'],
+            protected: ['Protected', 'The screen is kept awake and the audio is watched and resumed after interruptions'],
+            watching: ['Watching audio', 'The screen may sleep, but the audio is watched and resumed after interruptions'],
+            interrupted: ['Interrupted', 'The system stopped the audio; it resumes as soon as it can, or tap anywhere to resume']
+        };
+        const status = this.keepalive.status;
+        
+        indicator.textContent = labels[status][0];
+        indicator.title = labels[status][1];
+        indicator.dataset.status = status;
+    }
+    
+    showIOSBackgroundWarning() {
+        const warning = document.createElement('div');
+        warning.id = 'ios-warning';
+        warning.style.cssText = `
+            position: fixed;
+            top: 20px;
+            left: 50%;
+            transform: translateX(-50%);
+            background: rgba(255, 165, 0, 0.9);
+            color: #000000;
+            padding: 15px 25px;
+            border-radius: 8px;
+            z-index: 1001;
+            font-weight: bold;
+            text-align: center;
+            max-width: 90%;
+        `;
+        warning.innerHTML = `
+            <div>📱 iOS Limitation</div>
+            <div style="font-size: 0.9rem; margin-top: 5px;">
+                Audio pauses when switching apps. Tap anywhere when you return to resume.
+            </div>
+        `;
+        document.body.appendChild(warning);
+        
+        setTimeout(() => {
+            if (document.body.contains(warning)) {
+                document.body.removeChild(warning);
+            }
+        }, 5000);
+    }
+    
+    showIOSInstructions() {
+        const iosInstructions = document.getElementById('ios-instructions');
+        if (iosInstructions) {
+            iosInstructions.style.display = 'block';
+            
+            // Auto-hide after 10 seconds
+            setTimeout(() => {
+                iosInstructions.style.display = 'none';
+            }, 10000);
+        }
+    }
+    
+    showUserInteractionPrompt() {
+        // Create a prompt for user interaction
+        const prompt = document.createElement('div');
+        prompt.id = 'audio-prompt';
+        prompt.style.cssText = `
+            position: fixed;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            background: rgba(0, 0, 0, 0.9);
+            border: 2px solid #FFD700;
+            border-radius: 15px;
+            padding: 30px;
+            color: #FFD700;
+            text-align: center;
+            z-index: 1000;
+            box-shadow: 0 10px 30px rgba(255, 215, 0, 0.5);
+        `;
+        prompt.innerHTML = `
+            <h3>🎵 Audio System Ready</h3>
+            <p>Click anywhere to enable audio for the binaural beats generator.</p>
+            <p><small>Modern browsers require user interaction to start audio.</small></p>
+            <button id="enable-audio" style="
+                background: linear-gradient(135deg, #FFD700, #FFA500);
+                color: #000000;
+                border: none;
+                border-radius: 8px;
+                padding: 12px 24px;
+                font-weight: bold;
+                cursor: pointer;
+                margin-top: 15px;
+            ">Enable Audio</button>
+        `;
+        document.body.appendChild(prompt);
+        
+        // Handle user interaction. A click on the button reaches both listeners,
+        // so only the first one sets up.
+        const enableAudio = () => {
+            if (this.audioContext) return;
+            
+            try {
+                this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+                this.engine.attach(this.audioContext, this.getOutputStage().input);
+                this.keepalive.attach(this.audioContext);
+                this.watchContextState(this.audioContext);
+                document.body.removeChild(prompt);
+                console.log('Audio context initialized successfully');
+                
+                // Show iOS instructions if on iOS
+                if (this.isIOS) {
+                    this.showIOSInstructions();
+                }
+                
+                // Setup iOS audio handling after context creation
+                if (this.isIOS) {
+                    this.setupIOSAudioHandling();
+                }
+            } catch (error) {
+                console.error('Error creating audio context:', error);
+                this.showError('Failed to create audio context. Please try again.');
+            }
+        };
+        
+        document.getElementById('enable-audio').addEventListener('click', enableAudio);
+        document.addEventListener('click', enableAudio, { once: true });
+    }
+    
+    showError(message) {
+        this.showMessage(message, 'rgba(255, 0, 0, 0.9)', 'white');
+    }
+    
+    showNotice(message) {
+        this.showMessage(message, 'rgba(255, 215, 0, 0.95)', '#000000');
+    }
+    
+    showMessage(message, background, color) {
+        const messageDiv = document.createElement('div');
+        messageDiv.style.cssText = `
+            position: fixed;
+            top: 20px;
+            left: 50%;
+            transform: translateX(-50%);
+            background: ${background};
+            color: ${color};
+            padding: 15px 25px;
+            max-width: 90vw;
+            border-radius: 8px;
+            z-index: 1001;
+            font-weight: bold;
+        `;
+        messageDiv.textContent = message;
+        document.body.appendChild(messageDiv);
+        
+        setTimeout(() => {
+            if (document.body.contains(messageDiv)) {
+                document.body.removeChild(messageDiv);
+            }
+        }, 5000);
+    }
+    
+    // The page is one consumer of the engine: the controls call its setters,
+    // and everything on screen follows its events
+    setupEngine() {
+        this.engine.addEventListener('frequencychange', () => {
+            document.getElementById('carrier-freq').value = this.engine.state.carrier;
+            document.getElementById('beat-freq').value = this.engine.state.beat;
+            this.updateDisplay();
+            this.updateLightStatus();
+        });
+        
+        this.engine.addEventListener('statechange', (e) => this.handleEngineChange(e.detail));
+        this.engine.addEventListener('tick', () => this.handleTick());
+        
+        this.engine.addEventListener('error', (e) => {
+            const { error, action } = e.detail;
+            console.error(`Audio engine error (${action}):`, error);
+            this.showError(action === 'play'
+                ? 'Failed to play audio. Please check your browser audio settings.'
+                : 'Something went wrong with the audio.');
+        });
+        
+        // The analysers and music ride on each graph the engine builds
+        this.engine.addEventListener('graphstart', (e) => {
+            const { graph, fadeTime } = e.detail;
+            this.connectAnalysers(graph.masterGain);
+            if (this.musicMode !== 'off' && this.music.tracks.length > 0) {
+                this.startMusic();
+            }
+            
+            // A rebuilt graph fades in to the full volume, so carry on any sleep fade
+            this.scheduleSleepTail(fadeTime);
+            
+            // Breathing cues queued on the old graph fade out with it
+            this.breathingCuedUntil = null;
+            this.updateBreathing();
+        });
+        
+        this.engine.addEventListener('graphstop', (e) => {
+            this.music.stop(e.detail.stopAt);
+            this.musicGain = null;
+        });
+    }
+    
+    handleEngineChange({ changed, transport, previous, layer }) {
+        const state = this.engine.state;
+        
+        changed.forEach(key => {
+            switch (key) {
+                case 'volume':
+                    document.getElementById('volume').value = state.volume;
+                    this.updateDisplay();
+                    break;
+                case 'fadeIn':
+                case 'fadeOut':
+                    document.getElementById('fade-in').value = state.fadeIn;
+                    document.getElementById('fade-out').value = state.fadeOut;
+                    this.updateDisplay();
+                    break;
+                case 'mode':
+                    this.showMode();
+                    break;
+                case 'isochronic':
+                    this.showIsochronic();
+                    break;
+                case 'timbre':
+                    this.showTimbre();
+                    break;
+                case 'base':
+                    this.updateLayerDisplay();
+                    break;
+                case 'layers':
+                    // Editing one layer keeps its row (and the slider being dragged)
+                    if (layer) {
+                        this.updateIsochronicControls();
+                        this.updateLayerDisplay();
+                    } else {
+                        this.renderBeatLayers();
+                    }
+                    break;
+                case 'noise':
+                    this.updateNoiseDisplay();
+                    break;
+                case 'program':
+                    this.updateSessionDisplay();
+                    this.updateBreathing();
+                    break;
+                case 'transport':
+                    this.handleTransport(transport, previous);
+                    break;
+            }
+        });
+    }
+    
+    // Everything that starts and stops with the sound: the sleep timer,
+    // listening history, the keepalive and the transport controls
+    handleTransport(transport, previous) {
+        const now = this.audioContext ? this.audioContext.currentTime : 0;
+        
+        if (transport === 'playing') {
+            if (previous !== 'interrupted') {
+                this.keepalive.start();
+            }
+            
+            // The sleep timer only counts while playing
+            if (this.sleepTimer) {
+                this.sleepTimer.start(now);
+                this.scheduleSleepTail(this.engine.state.fadeIn);
+            }
+            
+            this.resumeHistory();
+            this.announce(previous === 'interrupted' ? 'Audio resumed' : 'Playing');
+            this.updateBreathing();
+        } else {
+            if (previous === 'playing') {
+                if (this.sleepTimer) {
+                    this.sleepTimer.pause(now);
+                }
+                this.pauseHistory();
+            }
+            
+            // An interruption keeps playback on until the audio comes back
+            if (transport === 'interrupted') {
+                this.announce('Audio interrupted');
+            } else {
+                this.keepalive.stop();
+                if (previous !== transport) {
+                    this.announce(transport === 'stopped' ? 'Stopped' : 'Paused');
+                }
+            }
+            
+            if (transport === 'stopped') {
+                this.sleepTail = null;
+                if (this.sleepTimer) {
+                    this.sleepTimer.reset();
+                }
+                this.updateTimerDisplay();
+                this.updateSessionDisplay();
+                this.finishHistory();
+            }
+        }
+        
+        this.updatePlayButton();
+        this.updateMediaSession();
+    }
+    
+    // Once a second while the sound plays
+    handleTick() {
+        this.updateTimerDisplay();
+        this.updateSessionDisplay();
+        this.updateSleepTimer();
+        this.updateMediaSession();
+        this.recordHistory();
+        this.updatePlaylist();
+        this.updateBreathing();
+        this.updateLightReadout();
+    }
+    
+    setupEventListeners() {
+        // Main play button
+        document.getElementById('play-pause').addEventListener('click', () => {
+            this.togglePlayback();
+        });
+        
+        // Generation mode buttons
+        document.querySelectorAll('.mode-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.engine.setMode(e.currentTarget.dataset.mode);
+            });
+        });
+        
+        // Isochronic gate controls
+        document.getElementById('duty-cycle').addEventListener('input', (e) => {
+            this.engine.setIsochronic({ duty: parseFloat(e.target.value) / 100 });
+        });
+        
+        document.getElementById('pulse-shape').addEventListener('change', (e) => {
+            this.engine.setIsochronic({ shape: e.target.value });
+        });
+        
+        // Band buttons
+        document.querySelectorAll('.band-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const band = e.currentTarget.dataset.band;
+                this.setFrequencyBand(band);
+            });
+        });
+        
+        // Manual controls
+        const carrierSlider = document.getElementById('carrier-freq');
+        const beatSlider = document.getElementById('beat-freq');
+        const volumeSlider = document.getElementById('volume');
+        
+        // Dragging a frequency slider takes over from any running session program
+        carrierSlider.addEventListener('input', (e) => {
+            this.setCarrierFromInput(parseFloat(e.target.value), this.tuning.snap);
+        });
+        
+        // Precise carrier entry and reference frequencies
+        document.getElementById('carrier-input').addEventListener('change', (e) => {
+            const frequency = parseFloat(e.target.value);
+            if (Number.isFinite(frequency)) {
+                this.setCarrierFromInput(frequency, this.tuning.snap);
+            } else {
+                this.updateDisplay();
+            }
+        });
+        
+        document.getElementById('carrier-library').addEventListener('change', (e) => {
+            if (e.target.value) {
+                this.setCarrierFromInput(parseFloat(e.target.value), false);
+            }
+        });
+        
+        document.getElementById('carrier-snap').addEventListener('change', (e) => {
+            this.tuning.snap = e.target.checked;
+        });
+        
+        document.getElementById('a4-reference').addEventListener('change', (e) => {
+            this.tuning.a4 = parseFloat(e.target.value);
+            this.updateDisplay();
+        });
+        
+        beatSlider.addEventListener('input', (e) => {
+            const beat = parseFloat(e.target.value);
+            this.engine.endProgram();
+            this.currentPreset = null;
+            // Taking the beat over by hand also stops any sleep-timer drift
+            if (this.sleepTail) this.sleepTail.drift = false;
+            this.engine.setBeat(beat);
+        });
+        
+        volumeSlider.addEventListener('input', (e) => {
+            this.updateVolume(parseFloat(e.target.value));
+        });
+        
+        // Fade controls
+        document.getElementById('fade-in').addEventListener('input', (e) => {
+            this.engine.setFades({ fadeIn: parseFloat(e.target.value) });
+        });
+        
+        document.getElementById('fade-out').addEventListener('input', (e) => {
+            this.engine.setFades({ fadeOut: parseFloat(e.target.value) });
+        });
+        
+        // Preset management
+        document.getElementById('save-preset').addEventListener('click', () => {
+            this.saveCurrentPreset();
+        });
+        
+        document.getElementById('preset-name').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.saveCurrentPreset();
+        });
+        
+        document.getElementById('copy-link').addEventListener('click', () => {
+            this.copyShareLink();
+        });
+        
+        document.getElementById('manage-presets').addEventListener('click', () => {
+            const manager = document.getElementById('preset-manager');
+            manager.style.display = manager.style.display === 'none' ? 'block' : 'none';
+        });
+
+        // Stop button
+        document.getElementById('stop').addEventListener('click', () => {
+            this.stop();
+        });
+        
+        // Update display values
+        this.updateDisplay();
+    }
+    
+    setFrequencyBand(band) {
+        this.engine.endProgram();
+        this.currentPreset = null;
+        
+        // The band's default beat on the default carrier
+        this.engine.setBeat(this.bands[band].default);
+        this.engine.setCarrier(400);
+        this.setActiveBand(band);
+    }
+    
+    setActiveBand(band) {
+        this.currentBand = band;
+        
+        // Update active band button
+        document.querySelectorAll('.band-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.band === band);
+            btn.setAttribute('aria-pressed', btn.dataset.band === band ? 'true' : 'false');
+        });
+        
+        if (band) {
+            this.announce(`${band.charAt(0).toUpperCase()}${band.slice(1)} band selected`);
+        }
+    }
+    
+    // Snapshot of everything a preset restores
+    getCurrentState() {
+        const { carrier, beat, volume, mode, isochronic, timbre, noise, layers } = this.engine.snapshot();
+        return { carrier, beat, volume, band: this.currentBand, mode, isochronic, timbre, noise, layers };
+    }
+    
+    // Apply whichever parts of a saved state are present
+    applyState(state) {
+        this.engine.setState(state);
+        
+        if (state.band !== undefined) {
+            this.setActiveBand(state.band);
+        }
+    }
+    
+    sliderLimits(id) {
+        const slider = document.getElementById(id);
+        return { min: parseFloat(slider.min), max: parseFloat(slider.max) };
+    }
+    
+    // The limits and choices that share links and library files are checked against
+    settingsOptions() {
+        return {
+            limits: {
+                carrier: this.sliderLimits('carrier-freq'),
+                beat: this.sliderLimits('beat-freq'),
+                volume: this.sliderLimits('volume'),
+                fade: this.sliderLimits('fade-in'),
+                duty: this.sliderLimits('duty-cycle'),
+                layerGain: BeatLayers.gainRange
+            },
+            bands: Object.keys(this.bands),
+            presets: Object.keys(this.presets),
+            timbres: Object.keys(Waveforms.timbres),
+            noiseTypes: Object.keys(NoiseGenerator.types)
+        };
+    }
+    
+    // Apply settings from a shared link (?c=432&b=7.83... or /preset/focus)
+    applyShareLink() {
+        if (!window.location.search && !window.location.pathname.startsWith('/preset/')) return;
+        
+        const { state, notices } = ShareLink.decode(window.location, this.settingsOptions());
+        
+        if (state.preset) {
+            // The preset sets the frequencies; the rest of the link is applied on top
+            const { preset, carrier, beat, band, stages, ...overrides } = state;
+            this.loadPreset(preset);
+            this.applyState(overrides);
+        } else if (state.stages) {
+            this.applyState(state);
+            this.engine.startProgram(new SessionProgram({
+                name: 'Shared Session',
+                carrier: this.engine.state.carrier,
+                volume: this.engine.state.volume,
+                stages: state.stages
+            }));
+        } else {
+            // A band on its own picks that band's default beat
+            if (state.band && state.beat === undefined) {
+                this.setFrequencyBand(state.band);
+            }
+            this.applyState(state);
+        }
+        
+        if (notices.length) {
+            console.log('Share link notices:', notices);
+            this.showNotice(`Some link settings were adjusted: ${notices.join(' ')}`);
+        }
+    }
+    
+    getShareLink() {
+        const state = {
+            ...this.getCurrentState(),
+            fadeIn: this.engine.state.fadeIn,
+            fadeOut: this.engine.state.fadeOut
+        };
+        
+        // A running program is shared by preset id if it's built in, otherwise stage by stage
+        if (this.engine.program) {
+            const definition = this.engine.program.definition;
+            const builtIn = Object.keys(this.builtInPresets).find(id => this.builtInPresets[id] === definition);
+            if (builtIn) {
+                state.preset = builtIn;
+            } else {
+                state.carrier = this.engine.program.carrier;
+                state.stages = definition.stages;
+            }
+        }
+        
+        return `${window.location.origin}/?${ShareLink.encode(state)}`;
+    }
+    
+    async copyShareLink() {
+        const link = this.getShareLink();
+        
+        try {
+            await navigator.clipboard.writeText(link);
+            this.showNotice('Link copied to clipboard.');
+        } catch (error) {
+            console.log('Clipboard write failed:', error);
+            window.prompt('Copy this link:', link);
+        }
+    }
+    
+    loadPreset(presetName) {
+        const preset = this.presets[presetName];
+        if (!preset) return;
+        
+        // Presets with stages run as session programs; the rest are fixed settings
+        if (preset.stages && preset.stages.length) {
+            const program = new SessionProgram(preset);
+            this.applyState({ ...preset, carrier: program.initialCarrier, beat: program.initialBeat });
+            this.engine.startProgram(program);
+        } else {
+            this.engine.endProgram();
+            this.applyState(preset);
+        }
+        
+        this.currentPreset = presetName;
+        this.updateMediaSession();
+        
+        // Exports default to the preset that's loaded
+        const exportSource = document.getElementById('export-source');
+        if (exportSource) {
+            exportSource.value = presetName;
+            this.updateExportControls();
+        }
+    }
+    
+    // Step through the preset list, wrapping at either end
+    stepPreset(direction) {
+        const ids = Object.keys(this.presets);
+        const index = ids.indexOf(this.currentPreset);
+        const next = index === -1
+            ? (direction > 0 ? 0 : ids.length - 1)
+            : (index + direction + ids.length) % ids.length;
+        this.loadPreset(ids[next]);
+    }
+    
+    refreshPresets() {
+        this.presets = { ...this.builtInPresets };
+        this.presetStore.list().forEach(preset => {
+            this.presets[preset.id] = preset;
+        });
+    }
+    
+    renderPresets() {
+        // Quick presets are the built-in programs
+        const quickPresets = document.getElementById('quick-presets');
+        quickPresets.innerHTML = '';
+        Object.entries(this.builtInPresets).forEach(([id, preset]) => {
+            const btn = document.createElement('button');
+            btn.className = 'quick-preset';
+            btn.dataset.preset = id;
+            btn.textContent = `${preset.icon} ${preset.shortName}`;
+            btn.addEventListener('click', () => {
+                this.loadPreset(id);
+                // Auto-play after selecting preset
+                if (!this.engine.isPlaying) {
+                    setTimeout(() => this.togglePlayback(), 100);
+                }
+            });
+            quickPresets.appendChild(btn);
+        });
+        
+        // Full preset list: built-ins, then saved presets in the user's order
+        const presetButtons = document.getElementById('preset-buttons');
+        presetButtons.innerHTML = '';
+        Object.entries(this.presets).forEach(([id, preset]) => {
+            const btn = document.createElement('button');
+            btn.className = this.builtInPresets[id] ? 'preset-btn' : 'preset-btn user-preset';
+            btn.dataset.preset = id;
+            btn.textContent = preset.name;
+            btn.addEventListener('click', () => this.loadPreset(id));
+            presetButtons.appendChild(btn);
+        });
+        
+        this.renderPresetManager();
+        this.renderExportSources();
+        this.renderRoutinePresets();
+    }
+    
+    renderPresetManager() {
+        const manager = document.getElementById('preset-manager');
+        const saved = this.presetStore.list();
+        manager.innerHTML = '';
+        
+        if (!saved.length) {
+            const empty = document.createElement('p');
+            empty.className = 'preset-manager-empty';
+            empty.textContent = 'No saved presets yet.';
+            manager.appendChild(empty);
+            return;
+        }
+        
+        saved.forEach((preset, index) => {
+            const row = document.createElement('div');
+            row.className = 'preset-manager-row';
+            row.innerHTML = `
+                <input type="text" class="preset-rename" maxlength="40" aria-label="Preset name">
+                <button class="preset-action" data-action="up" title="Move up">↑</button>
+                <button class="preset-action" data-action="down" title="Move down">↓</button>
+                <button class="preset-action" data-action="delete" title="Delete">🗑️</button>
+            `;
+            
+            const nameInput = row.querySelector('.preset-rename');
+            nameInput.value = preset.name;
+            nameInput.addEventListener('change', () => {
+                const name = nameInput.value.trim();
+                if (name) {
+                    this.updatePresetStore(() => this.presetStore.update(preset.id, { name }));
+                } else {
+                    nameInput.value = preset.name;
+                }
+            });
+            
+            const upBtn = row.querySelector('[data-action="up"]');
+            const downBtn = row.querySelector('[data-action="down"]');
+            upBtn.disabled = index === 0;
+            downBtn.disabled = index === saved.length - 1;
+            
+            upBtn.addEventListener('click', () => {
+                this.updatePresetStore(() => this.presetStore.move(preset.id, -1));
+            });
+            downBtn.addEventListener('click', () => {
+                this.updatePresetStore(() => this.presetStore.move(preset.id, 1));
+            });
+            row.querySelector('[data-action="delete"]').addEventListener('click', () => {
+                if (confirm(`Delete preset "${preset.name}"?`)) {
+                    this.updatePresetStore(() => this.presetStore.remove(preset.id));
+                }
+            });
+            
+            manager.appendChild(row);
+        });
+    }
+    
+    setupLibraryControls() {
+        const fileInput = document.getElementById('library-file');
+        
+        document.getElementById('export-library').addEventListener('click', () => this.exportLibrary());
+        document.getElementById('import-library').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files[0]) {
+                this.importLibrary(fileInput.files[0]);
+            }
+            fileInput.value = '';
+        });
+    }
+    
+    // Current settings plus every saved preset, as a library file
+    exportLibrary() {
+        const { fadeIn, fadeOut } = this.engine.state;
+        const state = { ...this.getCurrentState(), fadeIn, fadeOut };
+        const text = LibraryFile.create({ state, presets: this.presetStore.list() });
+        this.downloadBlob(new Blob([text], { type: 'application/json' }), 'bee-neural-beats-library.json');
+    }
+    
+    // Library files add their presets and apply their settings; SBaGen scripts become one preset
+    async importLibrary(file) {
+        let text;
+        try {
+            text = await file.text();
+        } catch (error) {
+            console.error('Error reading library file:', error);
+            this.showError(`Could not read ${file.name}.`);
+            return;
+        }
+        
+        try {
+            const options = this.settingsOptions();
+            // Presets play and export at their own volume; imports without one take the current volume
+            const withVolume = (preset) => ({ ...preset, volume: preset.volume !== undefined ? preset.volume : this.engine.state.volume });
+            
+            if (/\.sbg$/i.test(file.name) || !text.trim().startsWith('{')) {
+                const { preset, notices } = SbagenScript.parse(text, file.name.replace(/\.[^.]+$/, ''), options.limits);
+                this.updatePresetStore(() => this.presetStore.add(withVolume(preset)));
+                console.log('SBaGen import notices:', notices);
+                this.showNotice(`Imported "${preset.name}" from SBaGen.${notices.length ? ` ${notices.join(' ')}` : ''}`);
+                return;
+            }
+            
+            const library = LibraryFile.parse(text, options);
+            this.updatePresetStore(() => library.presets.forEach(preset => this.presetStore.add(withVolume(preset))));
+            
+            if (library.state) {
+                this.engine.endProgram();
+                this.currentPreset = null;
+                this.applyState(library.state);
+            }
+            
+            const count = library.presets.length;
+            this.showNotice(`Imported ${count} preset${count === 1 ? '' : 's'}${library.state ? ' and the saved settings' : ''}.`);
+        } catch (error) {
+            console.error('Error importing library:', error);
+            this.showError(error.message);
+        }
+    }
+    
+    // Run a store change, then re-render everything that lists presets
+    updatePresetStore(change) {
+        try {
+            change();
+        } catch (error) {
+            this.showError(error.message);
+        }
+        this.refreshPresets();
+        this.renderPresets();
+    }
+    
+    saveCurrentPreset() {
+        const nameInput = document.getElementById('preset-name');
+        const name = nameInput.value.trim();
+        if (!name) {
+            this.showError('Please enter a name for the preset.');
+            return;
+        }
+        
+        const preset = { name, ...this.getCurrentState() };
+        
+        // Saving while a session program runs keeps its stages
+        if (this.engine.program) {
+            preset.carrier = this.engine.program.carrier;
+            preset.stages = this.engine.program.definition.stages;
+        }
+        
+        this.updatePresetStore(() => this.presetStore.add(preset));
+        nameInput.value = '';
+    }
+    
+    updateSessionDisplay() {
+        const status = document.getElementById('session-status');
+        if (!status) return;
+        
+        const program = this.engine.program;
+        if (!program) {
+            status.style.display = 'none';
+            return;
+        }
+        
+        // The engine follows the program's ramps itself and ends it when it's done
+        const info = program.statusAt(this.engine.getSessionElapsed());
+        
+        status.style.display = 'block';
+        document.getElementById('session-name').textContent = program.name;
+        document.getElementById('session-stage').textContent =
+            `Stage ${info.stageNumber}/${info.stageCount}: ${info.stage.label} · ${this.formatTime(info.stageRemaining)} left`;
+        document.getElementById('session-remaining').textContent =
+            `${this.formatTime(info.totalRemaining)} remaining`;
+        document.getElementById('session-progress').style.width = `${(info.progress * 100).toFixed(1)}%`;
+    }
+    
+    // Manual carrier changes, optionally snapped to the nearest note; the engine
+    // keeps them within the slider range and rounds them to its 0.01 Hz step
+    setCarrierFromInput(frequency, snap = false) {
+        this.engine.endProgram();
+        this.currentPreset = null;
+        this.engine.setCarrier(snap ? Tuning.snap(frequency, this.tuning.a4) : frequency);
+    }
+    
+    setupCarrierLibrary() {
+        const library = document.getElementById('carrier-library');
+        const groups = {};
+        
+        Tuning.carrierLibrary.forEach(({ group, name, frequency }) => {
+            if (!groups[group]) {
+                groups[group] = document.createElement('optgroup');
+                groups[group].label = group;
+                library.appendChild(groups[group]);
+            }
+            
+            const option = document.createElement('option');
+            option.value = frequency;
+            option.textContent = `${name} · ${frequency} Hz`;
+            groups[group].appendChild(option);
+        });
+    }
+    
+    showMode() {
+        const mode = this.engine.state.mode;
+        document.querySelectorAll('.mode-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === mode);
+            btn.setAttribute('aria-pressed', btn.dataset.mode === mode ? 'true' : 'false');
+        });
+        this.updateIsochronicControls();
+    }
+    
+    setupTimbreControls() {
+        const container = document.getElementById('harmonic-sliders');
+        
+        this.engine.state.timbre.harmonics.forEach((level, index) => {
+            const slider = document.createElement('div');
+            slider.className = 'harmonic-slider';
+            slider.innerHTML = `
+                <input type="range" min="0" max="100" step="1" aria-label="Harmonic ${index + 1} level">
+                <span>H${index + 1}</span>
+            `;
+            
+            const input = slider.querySelector('input');
+            input.dataset.harmonic = index;
+            input.value = Math.round(level * 100);
+            input.addEventListener('input', (e) => {
+                const timbre = this.engine.state.timbre;
+                const harmonics = timbre.harmonics.slice();
+                harmonics[index] = parseFloat(e.target.value) / 100;
+                this.engine.setTimbre({ ...timbre, harmonics });
+            });
+            
+            container.appendChild(slider);
+        });
+        
+        document.getElementById('timbre').addEventListener('change', (e) => {
+            this.engine.setTimbre({ ...this.engine.state.timbre, type: e.target.value });
+        });
+    }
+    
+    showTimbre() {
+        const { type, harmonics } = this.engine.state.timbre;
+        document.getElementById('timbre').value = type;
+        document.getElementById('harmonic-editor').style.display = type === 'custom' ? 'block' : 'none';
+        document.querySelectorAll('#harmonic-sliders input').forEach(input => {
+            input.value = Math.round(harmonics[input.dataset.harmonic] * 100);
+        });
+    }
+    
+    showIsochronic() {
+        const { duty, shape } = this.engine.state.isochronic;
+        document.getElementById('duty-cycle').value = Math.round(duty * 100);
+        document.getElementById('pulse-shape').value = shape;
+        document.getElementById('duty-cycle-value').textContent = `${Math.round(duty * 100)}%`;
+    }
+    
+    updateVolume(volume) {
+        this.engine.setVolume(volume);
+        
+        // Keep fading, just from the new level
+        if (this.engine.isPlaying && this.sleepTail) {
+            this.scheduleSleepTail();
+        }
+    }
+    
+    updateDisplay() {
+        const { carrier: carrierFreq, beat: beatFreq, volume, fadeIn, fadeOut } = this.engine.state;
+        
+        const leftFreq = carrierFreq - beatFreq / 2;
+        const rightFreq = carrierFreq + beatFreq / 2;
+        
+        const a4 = this.tuning.a4;
+        const carrierText = Tuning.formatFrequency(carrierFreq);
+        document.getElementById('carrier-value').textContent = `${carrierText} Hz · ${Tuning.formatNote(carrierFreq, a4)}`;
+        
+        // Keep the numeric entry and library in step, without fighting someone typing
+        const carrierInput = document.getElementById('carrier-input');
+        if (document.activeElement !== carrierInput) {
+            carrierInput.value = carrierText;
+        }
+        const library = document.getElementById('carrier-library');
+        const match = Array.from(library.options).find(option => option.value && parseFloat(option.value) === carrierFreq);
+        library.value = match ? match.value : '';
+
+        document.getElementById('beat-value').textContent = `${beatFreq} Hz`;
+        document.getElementById('volume-value').textContent = `${volume}%`;
+        document.getElementById('fade-in-value').textContent = `${fadeIn} s`;
+        document.getElementById('fade-out-value').textContent = `${fadeOut} s`;
+        
+        document.getElementById('left-freq').textContent = `${leftFreq.toFixed(1)} Hz (${Tuning.formatNote(leftFreq, a4)})`;
+        document.getElementById('right-freq').textContent = `${rightFreq.toFixed(1)} Hz (${Tuning.formatNote(rightFreq, a4)})`;
+        document.getElementById('beat-display').textContent = `${beatFreq} Hz`;
+        this.updateLayerDisplay();
+        
+        this.announceReadout(
+            `Carrier ${carrierText} hertz, beat ${parseFloat(beatFreq.toFixed(1))} hertz, ` +
+            `left ${leftFreq.toFixed(1)}, right ${rightFreq.toFixed(1)} hertz`
+        );
+    }
+    
+    updatePlayButton() {
+        const button = document.getElementById('play-pause');
+        button.textContent = this.engine.isPlaying ? '⏸️ Pause' : '▶️ Start';
+        button.classList.toggle('playing', this.engine.isPlaying);
+        button.setAttribute('aria-pressed', this.engine.isPlaying ? 'true' : 'false');
+    }
+    
+    // Screen-reader announcements through the polite live region
+    announce(message) {
+        const announcer = document.getElementById('sr-announcer');
+        if (!announcer) return;
+        
+        // Clearing first makes a repeated message be read again
+        announcer.textContent = '';
+        setTimeout(() => {
+            announcer.textContent = message;
+        }, 50);
+    }
+    
+    // Readouts change continuously during glides and programs, so only
+    // announce them once they have settled for a moment
+    announceReadout(readout) {
+        if (readout === this.announcedReadout) return;
+        
+        clearTimeout(this.announceTimeout);
+        this.announceTimeout = setTimeout(() => {
+            this.announcedReadout = readout;
+            this.announce(readout);
+        }, 1200);
+    }
+    
+    get keyboardShortcuts() {
+        return [
+            { keys: 'Space', label: 'Play / pause' },
+            { keys: 'S', label: 'Stop' },
+            { keys: '↑ / ↓', label: 'Beat frequency ±0.1 Hz (Shift: ±1 Hz)' },
+            { keys: '← / →', label: 'Carrier frequency ±1 Hz (Shift: ±10 Hz)' },
+            { keys: '1 – 5', label: 'Delta, Theta, Alpha, Beta, Gamma band' },
+            { keys: '?', label: 'Show or hide this list' },
+            { keys: 'Esc', label: 'Close this list' }
+        ];
+    }
+    
+    setupKeyboardShortcuts() {
+        const overlay = document.getElementById('shortcuts-overlay');
+        const list = document.getElementById('shortcuts-list');
+        
+        this.keyboardShortcuts.forEach(({ keys, label }) => {
+            const key = document.createElement('dt');
+            key.innerHTML = '<kbd></kbd>';
+            key.querySelector('kbd').textContent = keys;
+            const description = document.createElement('dd');
+            description.textContent = label;
+            list.appendChild(key);
+            list.appendChild(description);
+        });
+        
+        document.getElementById('show-shortcuts').addEventListener('click', () => this.toggleShortcuts(true));
+        document.getElementById('close-shortcuts').addEventListener('click', () => this.toggleShortcuts(false));
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) this.toggleShortcuts(false);
+        });
+        
+        document.addEventListener('keydown', (e) => {
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+            
+            if (e.key === 'Escape' && overlay.style.display !== 'none') {
+                this.toggleShortcuts(false);
+                return;
+            }
+            
+            if (e.key === 'Escape' && this.lightFrame !== null) {
+                this.stopLight();
+                return;
+            }
+            
+            if (e.key === 'Escape' && document.getElementById('light-warning').style.display !== 'none') {
+                this.closeLightWarning();
+                return;
+            }
+            
+            if (e.key === 'Escape' && this.routinePrompt) {
+                this.skipRoutine();
+                return;
+            }
+            
+            // The calibration wizard keeps the keyboard to itself
+            if (document.getElementById('calibration-wizard').style.display !== 'none') {
+                if (e.key === 'Escape') this.closeCalibration();
+                return;
+            }
+            
+            // Leave typing to the browser, and let focused controls keep their own keys
+            const target = e.target;
+            const matches = (selector) => target.matches && target.matches(selector);
+            if (matches('input[type="text"], input[type="number"], input[type="time"], textarea, select, [contenteditable="true"]')) return;
+            if (matches('button, input[type="checkbox"]') && (e.key === ' ' || e.key === 'Enter')) return;
+            if (matches('input[type="range"]') && e.key.startsWith('Arrow')) return;
+            
+            const bandKeys = { 1: 'delta', 2: 'theta', 3: 'alpha', 4: 'beta', 5: 'gamma' };
+            const step = e.shiftKey ? 10 : 1;
+            
+            switch (e.key) {
+                case ' ':
+                    this.togglePlayback();
+                    break;
+                case 's':
+                case 'S':
+                    this.stop();
+                    break;
+                case 'ArrowUp':
+                    this.nudgeBeat(0.1 * step);
+                    break;
+                case 'ArrowDown':
+                    this.nudgeBeat(-0.1 * step);
+                    break;
+                case 'ArrowRight':
+                    this.setCarrierFromInput(this.engine.state.carrier + step);
+                    break;
+                case 'ArrowLeft':
+                    this.setCarrierFromInput(this.engine.state.carrier - step);
+                    break;
+                case '?':
+                    this.toggleShortcuts(overlay.style.display === 'none');
+                    break;
+                default:
+                    if (!bandKeys[e.key]) return;
+                    this.setFrequencyBand(bandKeys[e.key]);
+            }
+            
+            e.preventDefault();
+        });
+    }
+    
+    nudgeBeat(delta) {
+        this.engine.endProgram();
+        this.currentPreset = null;
+        this.engine.setBeat(Math.round((this.engine.state.beat + delta) * 10) / 10);
+    }
+    
+    toggleShortcuts(show) {
+        const overlay = document.getElementById('shortcuts-overlay');
+        overlay.style.display = show ? 'flex' : 'none';
+        
+        if (show) {
+            this.shortcutsReturnFocus = document.activeElement;
+            document.getElementById('close-shortcuts').focus();
+        } else if (this.shortcutsReturnFocus) {
+            this.shortcutsReturnFocus.focus();
+            this.shortcutsReturnFocus = null;
+        }
+    }
+    
+    async togglePlayback() {
+        if (this.engine.isPlaying) {
+            this.pause();
+        } else {
+            await this.play();
+        }
+    }
+    
+    async play() {
+        // Check if audio context exists
+        if (!this.audioContext) {
+            this.showError('Audio system not initialized. Please click to enable audio first.');
+            return;
+        }
+        
+        this.updateMusicRouting();
+        await this.engine.play();
+    }
+    
+    // Music plays into the master gain, so it fades, pauses and sleeps with the tones.
+    // In shift mode the music carries the beat itself: the shifter's modulators
+    // join the engine's voices, so programs, glides and the sleep drift move it too.
+    startMusic() {
+        const context = this.audioContext;
+        this.musicGain = context.createGain();
+        this.musicGain.connect(this.engine.masterGain);
+        
+        if (this.musicMode === 'shift') {
+            const shifter = FrequencyShifter.create(context, this.engine.state.beat);
+            shifter.output.connect(this.musicGain);
+            this.music.start(context, shifter.input);
+            this.engine.addVoices(shifter.voices);
+        } else {
+            this.music.start(context, this.musicGain);
+        }
+        
+        this.applyMusicBalance(0.01);
+    }
+    
+    // With the music carrying the beat, the engine leaves out the base tones
+    updateMusicRouting() {
+        this.engine.baseTones = !(this.musicMode === 'shift' && this.music.tracks.length > 0);
+    }
+    
+    // Balance 0-100: 50 plays both at full level, either side turns the other down
+    applyMusicBalance(fadeTime = this.engine.glideTime) {
+        const balance = this.musicBalance / 100;
+        const mixing = this.musicGain !== null && this.musicMode === 'mix';
+        
+        if (this.engine.toneBus) {
+            this.engine.rampParam(this.engine.toneBus.gain, mixing ? Math.min(1, 2 * (1 - balance)) : 1, fadeTime);
+        }
+        if (this.musicGain) {
+            this.engine.rampParam(this.musicGain.gain, mixing ? Math.min(1, 2 * balance) : 1, fadeTime);
+        }
+    }
+    
+    pause() {
+        this.engine.pause();
+    }
+    
+    stop() {
+        this.engine.stop();
+    }
+    
+    // History only counts the time between resumeHistory and pauseHistory, so pauses are left out
+    resumeHistory() {
+        if (!this.history.current) {
+            this.history.start();
+        }
+        this.historySampledAt = this.audioContext.currentTime;
+        this.recordHistory();
+    }
+    
+    updateTimerDisplay() {
+        const timer = document.getElementById('timer');
+        
+        // With a sleep timer set, the display counts down instead of up
+        if (this.sleepTimer) {
+            const now = this.audioContext ? this.audioContext.currentTime : 0;
+            timer.textContent = this.formatTime(this.sleepTimer.remainingAt(now));
+            timer.classList.add('countdown');
+            timer.title = 'Time until the sleep timer stops playback';
+            return;
+        }
+        
+        timer.classList.remove('countdown');
+        timer.title = '';
+        if (this.engine.isPlaying) {
+            timer.textContent = this.formatTime(this.engine.elapsed);
+        } else if (this.engine.transport === 'stopped') {
+            timer.textContent = '00:00';
+        }
+    }
+    
+    setupSleepTimerControls() {
+        const durationSelect = document.getElementById('sleep-timer');
+        const customInput = document.getElementById('sleep-custom');
+        const tailSlider = document.getElementById('sleep-tail');
+        
+        durationSelect.addEventListener('change', () => {
+            customInput.style.display = durationSelect.value === 'custom' ? 'block' : 'none';
+            this.setSleepTimer();
+        });
+        
+        customInput.addEventListener('change', () => this.setSleepTimer());
+        
+        tailSlider.addEventListener('input', () => {
+            document.getElementById('sleep-tail-value').textContent = `${tailSlider.value} min`;
+        });
+        tailSlider.addEventListener('change', () => this.setSleepTimer());
+    }
+    
+    // (Re)arm the sleep timer from the controls; it starts counting with playback
+    setSleepTimer() {
+        const choice = document.getElementById('sleep-timer').value;
+        const minutes = choice === 'custom'
+            ? parseFloat(document.getElementById('sleep-custom').value)
+            : parseFloat(choice);
+        
+        this.cancelSleepTail();
+        
+        if (!(minutes > 0)) {
+            this.sleepTimer = null;
+            this.updateTimerDisplay();
+            return;
+        }
+        
+        const tail = parseFloat(document.getElementById('sleep-tail').value);
+        const previous = this.sleepTimer;
+        const now = this.audioContext ? this.audioContext.currentTime : 0;
+        this.sleepTimer = new SleepTimer(Math.min(minutes, 720), tail);
+        
+        // Changing only the fade length keeps the countdown going
+        if (previous && previous.duration === this.sleepTimer.duration) {
+            this.sleepTimer.offset = previous.elapsedAt(now);
+        }
+        
+        if (this.engine.isPlaying) {
+            this.sleepTimer.start(now);
+        }
+        
+        console.log(`Sleep timer set: ${minutes} min with a ${tail} min fade`);
+        this.updateTimerDisplay();
+        this.updateSleepTimer();
+    }
+    
+    setupBreathingControls() {
+        const patternSelect = document.getElementById('breathing-pattern');
+        
+        Object.entries(BreathingPacer.patterns).forEach(([id, pattern]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = pattern.name;
+            patternSelect.appendChild(option);
+        });
+        
+        patternSelect.addEventListener('change', () => {
+            this.breathing.pattern = patternSelect.value;
+            this.updateBreathing();
+        });
+        
+        document.getElementById('breathing-length').addEventListener('change', (e) => {
+            this.breathing.minutes = parseFloat(e.target.value);
+            this.updateBreathing();
+        });
+        
+        document.getElementById('breathing-cues').addEventListener('change', (e) => {
+            this.breathing.cues = e.target.checked;
+            this.updateBreathing();
+        });
+    }
+    
+    // Where the pacer is right now, or null. It runs on the session's clock:
+    // the program's position when one is running, otherwise the timer's.
+    breathingNow() {
+        if (!this.engine.isPlaying) return null;
+        
+        const program = this.engine.program;
+        const clock = program ? this.engine.getSessionElapsed() : this.engine.elapsed;
+        const active = this.breathing.activeAt(clock, program);
+        if (!active) return null;
+        
+        return { ...active, clock, phase: BreathingPacer.phaseAt(active.pattern, clock - active.since) };
+    }
+    
+    // Announces the pacer starting and stopping, and queues its audio cues a
+    // couple of seconds ahead on the audio clock
+    updateBreathing() {
+        const now = this.breathingNow();
+        const id = now ? now.id : null;
+        if (id !== this.breathingActive) {
+            if (this.engine.isPlaying) {
+                this.announce(now ? `Paced breathing: ${now.pattern.name}` : 'Paced breathing finished');
+            }
+            this.breathingActive = id;
+        }
+        
+        if (!now || !this.breathing.cues || !this.engine.masterGain) return;
+        
+        // Pick up after the cues already queued, unless the clock has jumped back (a new program or play)
+        const cued = this.breathingCuedUntil;
+        const from = cued !== null && cued <= now.clock + 2 ? Math.max(cued, now.clock) : now.clock;
+        const to = Math.min(now.clock + 2, now.until);
+        const audioNow = this.audioContext.currentTime;
+        
+        BreathingPacer.phaseStarts(now.pattern, from - now.since, to - now.since).forEach(({ at, phase }) => {
+            BreathingPacer.playCue(this.audioContext, this.engine.masterGain, phase, audioNow + now.since + at - now.clock);
+        });
+        this.breathingCuedUntil = Math.max(from, to);
+    }
+    
+    setupLightControls() {
+        const styleSelect = document.getElementById('light-style');
+        
+        Object.entries(LightEntrainment.styles).forEach(([id, name]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = name;
+            styleSelect.appendChild(option);
+        });
+        styleSelect.value = this.lightSettings.style;
+        
+        styleSelect.addEventListener('change', () => {
+            this.lightSettings.style = styleSelect.value;
+            this.updateLightStatus();
+        });
+        
+        document.getElementById('light-contrast').addEventListener('input', (e) => {
+            this.lightSettings.contrast = parseFloat(e.target.value) / 100;
+            document.getElementById('light-contrast-value').textContent = `${e.target.value}%`;
+            this.updateLightStatus();
+        });
+        
+        // Lifting the cap takes a deliberate yes, every time and never from storage
+        document.getElementById('light-override').addEventListener('change', (e) => {
+            if (e.target.checked && !confirm('Flashing at 3–30 Hz can trigger seizures in people with photosensitive epilepsy. Allow full-rate, full-contrast flashing anyway?')) {
+                e.target.checked = false;
+            }
+            this.lightSettings.override = e.target.checked;
+            this.updateLightStatus();
+        });
+        
+        document.getElementById('open-light').addEventListener('click', () => this.openLightWarning());
+        document.getElementById('light-accept').addEventListener('click', () => this.startLight());
+        document.getElementById('light-decline').addEventListener('click', () => this.closeLightWarning());
+        document.getElementById('close-light').addEventListener('click', () => this.stopLight());
+        
+        // Leaving fullscreen (Esc in most browsers) ends light mode too
+        document.addEventListener('fullscreenchange', () => {
+            if (!document.fullscreenElement && this.lightFrame !== null) {
+                this.stopLight();
+            }
+        });
+        
+        this.updateLightStatus();
+    }
+    
+    // What the light does at a beat with the current settings
+    describeLight(beat) {
+        const { style, contrast, override } = this.lightSettings;
+        if (style === 'glow') {
+            return 'A slow glow that follows the breathing pacer, or 5.5 breaths a minute while it is off. It never flashes.';
+        }
+        
+        const limit = LightEntrainment.limit(beat, contrast, override);
+        const rate = limit.divisor > 1
+            ? `pulses once every ${limit.divisor} beats (${Number(limit.rate.toFixed(2))} Hz)`
+            : 'pulses with every beat';
+        const note = limit.capped
+            ? ', held to the photosensitivity limit'
+            : override && beat >= LightEntrainment.riskRange.min ? ', photosensitivity limit overridden' : '';
+        return `At ${Number(beat.toFixed(2))} Hz the light ${rate} at ${Math.round(limit.contrast * 100)}% contrast${note}.`;
+    }
+    
+    updateLightStatus() {
+        document.getElementById('light-status').textContent = this.describeLight(this.engine.state.beat);
+        this.updateLightReadout();
+    }
+    
+    updateLightReadout() {
+        if (this.lightFrame === null) return;
+        
+        const beat = this.light.beat !== null ? this.light.beat : this.engine.state.beat;
+        document.getElementById('light-readout').textContent = this.engine.isPlaying
+            ? this.describeLight(beat)
+            : 'Press Space to play; the light follows the beat once it starts.';
+    }
+    
+    // The warning comes up every time, before anything flickers
+    openLightWarning() {
+        document.getElementById('light-warning').style.display = 'flex';
+        document.getElementById('light-decline').focus();
+    }
+    
+    closeLightWarning() {
+        document.getElementById('light-warning').style.display = 'none';
+    }
+    
+    startLight() {
+        const overlay = document.getElementById('light-overlay');
+        this.closeLightWarning();
+        overlay.style.display = 'flex';
+        if (overlay.requestFullscreen) {
+            overlay.requestFullscreen().catch(() => {});
+        }
+        
+        const frame = () => {
+            this.drawLight(overlay);
+            this.lightFrame = requestAnimationFrame(frame);
+        };
+        this.lightFrame = requestAnimationFrame(frame);
+        this.updateLightReadout();
+        document.getElementById('close-light').focus();
+        this.announce('Light mode on');
+    }
+    
+    stopLight() {
+        if (this.lightFrame === null) return;
+        
+        cancelAnimationFrame(this.lightFrame);
+        this.lightFrame = null;
+        document.getElementById('light-overlay').style.display = 'none';
+        if (document.fullscreenElement) {
+            document.exitFullscreen().catch(() => {});
+        }
+        document.getElementById('open-light').focus();
+        this.announce('Light mode off');
+    }
+    
+    // One frame of light, at the beat phase being heard right now. Frames only
+    // sample it: the phase itself comes from the audio clock.
+    drawLight(overlay) {
+        const { style, contrast, override } = this.lightSettings;
+        // Keep the phase integrating whatever the style, so switching stays in step
+        const cycles = this.light.heardCycles();
+        let level = 1;
+        let shown = contrast;
+        
+        if (style === 'glow') {
+            const breathing = this.breathingNow();
+            level = breathing
+                ? breathing.phase.fullness
+                : BreathingPacer.phaseAt(BreathingPacer.patterns.coherent, performance.now() / 1000).fullness;
+        } else if (cycles !== null) {
+            const limit = LightEntrainment.limit(this.light.beat, contrast, override);
+            const { mode, isochronic } = this.engine.state;
+            // An isochronic flash covers its tone pulse; other beats peak where the tones line up
+            const duty = mode === 'isochronic' ? isochronic.duty : 0.5;
+            const offset = mode === 'isochronic' ? duty / 2 : 0;
+            level = LightEntrainment.level(style, (cycles - offset) / limit.divisor, duty);
+            shown = limit.contrast;
+        }
+        
+        overlay.style.backgroundColor = LightEntrainment.color(style, level, shown);
+    }
+    
+    updateSleepTimer() {
+        if (!this.sleepTimer || !this.engine.isPlaying) return;
+        
+        const now = this.audioContext.currentTime;
+        if (this.sleepTimer.completeAt(now)) {
+            this.completeSleepTimer();
+            return;
+        }
+        
+        if (!this.sleepTimer.inTailAt(now)) return;
+        
+        if (!this.sleepTail) {
+            this.beginSleepTail();
+        } else if (this.sleepTail.drift) {
+            // Keep the engine's beat (and so the slider and readouts) following the drift
+            this.engine.trackFrequencies(this.sleepTail.carrier, this.sleepTailBeat(now), 'drift');
+        }
+    }
+    
+    beginSleepTail() {
+        const now = this.audioContext.currentTime;
+        const { beat, carrier } = this.engine.state;
+        const target = this.bands.delta.default;
+        const drift = document.getElementById('sleep-drift').checked && beat > target;
+        
+        // Drifting takes over the beat from any session program
+        if (drift) {
+            this.engine.endProgram();
+        }
+        
+        this.sleepTail = {
+            fromBeat: beat,
+            targetBeat: target,
+            carrier,
+            length: this.sleepTimer.remainingAt(now),
+            drift
+        };
+        
+        if (document.getElementById('sleep-release-wake').checked) {
+            this.keepalive.allowScreenSleep();
+        }
+        
+        console.log(`Sleep timer fade started (${this.formatTime(this.sleepTail.length)})`);
+        this.scheduleSleepTail();
+    }
+    
+    // Fraction of the fade still to go, 1 at its start down to 0 at the end
+    sleepTailLevel(now) {
+        const remaining = this.sleepTimer.remainingAt(now);
+        return this.sleepTail.length > 0 ? Math.min(1, remaining / this.sleepTail.length) : 0;
+    }
+    
+    sleepTailBeat(now) {
+        const { fromBeat, targetBeat } = this.sleepTail;
+        return targetBeat + (fromBeat - targetBeat) * this.sleepTailLevel(now);
+    }
+    
+    // Fade (and drift) from where the tail is now to its end. Safe to call
+    // again after any change.
+    scheduleSleepTail(fadeTime = this.engine.glideTime) {
+        if (!this.engine.isPlaying || !this.sleepTail) return;
+        
+        const now = this.audioContext.currentTime;
+        const { drift, targetBeat } = this.sleepTail;
+        this.engine.fadeTail(now + this.sleepTimer.remainingAt(now), {
+            level: this.sleepTailLevel(now),
+            settle: fadeTime,
+            beat: this.sleepTailBeat(now),
+            toBeat: drift ? targetBeat : null
+        });
+    }
+    
+    // Undo a fade in progress: back to the set volume, beat held where it got to
+    cancelSleepTail() {
+        if (!this.sleepTail) return;
+        
+        const drifting = this.sleepTail.drift;
+        this.sleepTail = null;
+        
+        if (this.engine.isPlaying) {
+            this.updateVolume(this.engine.state.volume);
+            if (drifting) {
+                this.engine.setBeat(this.engine.state.beat);
+            }
+        }
+    }
+    
+    completeSleepTimer() {
+        console.log('Sleep timer finished');
+        this.sleepTail = null;
+        this.sleepTimer = null;
+        document.getElementById('sleep-timer').value = 'off';
+        document.getElementById('sleep-custom').style.display = 'none';
+        this.stop();
+    }
+    
+    formatTime(totalSeconds) {
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = Math.floor(totalSeconds % 60);
+        return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+    }
+    
+    pauseHistory() {
+        this.recordHistory();
+        this.historySampledAt = null;
+    }
+    
+    // Duty cycle and pulse shape show while any layer pulses
+    updateIsochronicControls() {
+        const { mode, layers } = this.engine.state;
+        const pulsing = mode === 'isochronic' || layers.some(layer => layer.mode === 'isochronic');
+        document.getElementById('isochronic-controls').style.display = pulsing ? 'block' : 'none';
+    }
+    
+    setupBeatLayerControls() {
+        const container = document.getElementById('beat-layers');
+        const layerId = (element) => element.closest('[data-layer]').dataset.layer;
+        
+        document.getElementById('add-beat-layer').addEventListener('click', () => this.addBeatLayer());
+        
+        container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            
+            const id = layerId(button);
+            const action = button.dataset.action;
+            if (action === 'remove') {
+                this.removeBeatLayer(id);
+            } else if (id === 'base') {
+                this.engine.setBase({ [action]: !this.engine.state.base[action] });
+            } else {
+                const layer = this.engine.state.layers.find(other => other.id === id);
+                this.engine.updateLayer(id, { [action]: !layer[action] });
+            }
+        });
+        
+        container.addEventListener('input', (e) => {
+            const setting = e.target.dataset.setting;
+            if (!setting || setting === 'mode') return;
+            
+            this.engine.updateLayer(layerId(e.target), { [setting]: parseFloat(e.target.value) });
+        });
+        
+        container.addEventListener('change', (e) => {
+            if (e.target.dataset.setting !== 'mode') return;
+            
+            this.engine.updateLayer(layerId(e.target), { mode: e.target.value });
+        });
+        
+        this.renderBeatLayers();
+    }
+    
+    renderBeatLayers() {
+        const container = document.getElementById('beat-layers');
+        const carrier = this.sliderLimits('carrier-freq');
+        const beat = this.sliderLimits('beat-freq');
+        const toggles = `
+            <button class="layer-toggle" data-action="muted" aria-pressed="false">Mute</button>
+            <button class="layer-toggle" data-action="solo" aria-pressed="false">Solo</button>
+        `;
+        
+        container.innerHTML = `
+            <div class="beat-layer" data-layer="base">
+                <div class="beat-layer-header">
+                    <span class="beat-layer-name">Base</span>
+                    <span class="beat-layer-summary" data-value="summary"></span>
+                    ${toggles}
+                </div>
+            </div>
+        `;
+        
+        this.engine.state.layers.forEach((layer, index) => {
+            const row = document.createElement('div');
+            row.className = 'beat-layer';
+            row.dataset.layer = layer.id;
+            row.innerHTML = `
+                <div class="beat-layer-header">
+                    <span class="beat-layer-name">Layer ${index + 1}</span>
+                    <span class="beat-layer-summary" data-value="summary"></span>
+                    ${toggles}
+                    <button class="layer-toggle" data-action="remove" aria-label="Remove layer ${index + 1}">✕</button>
+                </div>
+                <div class="beat-layer-settings">
+                    <div class="control-group">
+                        <label>Mode</label>
+                        <select data-setting="mode">
+                            ${BeatLayers.modes.map(mode => `<option value="${mode}">${mode.charAt(0).toUpperCase()}${mode.slice(1)}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="control-group">
+                        <label>Carrier</label>
+                        <input type="range" data-setting="carrier" min="${carrier.min}" max="${carrier.max}" step="1">
+                        <span data-value="carrier"></span>
+                    </div>
+                    <div class="control-group">
+                        <label>Beat</label>
+                        <input type="range" data-setting="beat" min="${beat.min}" max="${beat.max}" step="0.1">
+                        <span data-value="beat"></span>
+                    </div>
+                    <div class="control-group">
+                        <label>Level</label>
+                        <input type="range" data-setting="gain" min="0" max="100" step="1">
+                        <span data-value="gain"></span>
+                    </div>
+                </div>
+            `;
+            
+            row.querySelectorAll('[data-setting]').forEach(input => {
+                input.value = layer[input.dataset.setting];
+                input.setAttribute('aria-label', `Layer ${index + 1} ${input.dataset.setting === 'gain' ? 'level' : input.dataset.setting}`);
+            });
+            container.appendChild(row);
+        });
+        
+        document.getElementById('add-beat-layer').disabled = this.engine.state.layers.length >= BeatLayers.maxLayers;
+        this.updateIsochronicControls();
+        this.updateLayerDisplay();
+    }
+    
+    addBeatLayer() {
+        // Start from the base carrier with a gamma beat, the most common overlay
+        const layer = this.engine.addLayer({ carrier: Math.round(this.engine.state.carrier) });
+        if (layer) {
+            this.announce(`Beat layer ${this.engine.state.layers.length} added`);
+        }
+    }
+    
+    removeBeatLayer(id) {
+        this.engine.removeLayer(id);
+        this.announce('Beat layer removed');
+    }
+    
+    // Layer rows and the frequency readout under the visualizer
+    updateLayerDisplay() {
+        const container = document.getElementById('beat-layers');
+        if (!container) return;
+        
+        const { base: baseLayer, layers, mode, carrier, beat } = this.engine.state;
+        const levels = BeatLayers.levels(baseLayer, layers);
+        const base = { ...baseLayer, mode, carrier, beat };
+        const describe = (layer) => `${layer.beat} Hz ${this.bandFor(layer.beat)} on ${Tuning.formatFrequency(layer.carrier)} Hz`;
+        
+        container.querySelectorAll('[data-layer]').forEach(row => {
+            const id = row.dataset.layer;
+            const layer = id === 'base' ? base : layers.find(other => other.id === id);
+            
+            row.classList.toggle('silent', !(levels[id] > 0));
+            row.querySelector('[data-value="summary"]').textContent = id === 'base'
+                ? `${describe(layer)} · main controls`
+                : describe(layer);
+            row.querySelectorAll('[data-action="muted"], [data-action="solo"]').forEach(button => {
+                const on = layer[button.dataset.action];
+                button.classList.toggle('active', on);
+                button.setAttribute('aria-pressed', on ? 'true' : 'false');
+            });
+            
+            if (id !== 'base') {
+                row.querySelector('[data-value="carrier"]').textContent = `${layer.carrier} Hz`;
+                row.querySelector('[data-value="beat"]').textContent = `${layer.beat} Hz`;
+                row.querySelector('[data-value="gain"]').textContent = `${layer.gain}%`;
+                row.querySelector('[data-setting="mode"]').value = layer.mode;
+            }
+        });
+        
+        // Every audible layer gets a line of its own under the base readout
+        document.querySelector('.freq-info').classList.toggle('silent', !(levels.base > 0));
+        const list = document.getElementById('layer-freqs');
+        list.innerHTML = '';
+        layers.forEach((layer, index) => {
+            if (!(levels[layer.id] > 0)) return;
+            
+            const item = document.createElement('span');
+            item.textContent = layer.mode === 'isochronic'
+                ? `Layer ${index + 1}: ${layer.carrier.toFixed(1)} Hz pulsed at ${layer.beat} Hz`
+                : `Layer ${index + 1}: L ${(layer.carrier - layer.beat / 2).toFixed(1)} Hz · R ${(layer.carrier + layer.beat / 2).toFixed(1)} Hz · Beat ${layer.beat} Hz`;
+            list.appendChild(item);
+        });
+    }
+    
+    setupNoiseControls() {
+        const container = document.getElementById('noise-layers');
+        
+        Object.entries(NoiseGenerator.types).forEach(([type, info]) => {
+            const row = document.createElement('div');
+            row.className = 'noise-layer';
+            row.dataset.type = type;
+            row.innerHTML = `
+                <label class="noise-toggle">
+                    <input type="checkbox" data-setting="enabled">
+                    <span>${info.label}</span>
+                </label>
+                <div class="noise-settings">
+                    <div class="control-group">
+                        <label>Level</label>
+                        <input type="range" data-setting="level" min="0" max="100" step="1">
+                        <span data-value="level"></span>
+                    </div>
+                    <div class="control-group">
+                        <label>Low-pass</label>
+                        <input type="range" data-setting="lowpass" min="0" max="100" step="1">
+                        <span data-value="lowpass"></span>
+                    </div>
+                    <div class="control-group">
+                        <label>High-pass</label>
+                        <input type="range" data-setting="highpass" min="0" max="100" step="1">
+                        <span data-value="highpass"></span>
+                    </div>
+                </div>
+            `;
+            container.appendChild(row);
+            
+            row.querySelector('[data-setting="enabled"]').addEventListener('change', (e) => {
+                this.engine.updateNoise(type, { enabled: e.target.checked });
+            });
+            
+            row.querySelector('[data-setting="level"]').addEventListener('input', (e) => {
+                this.engine.updateNoise(type, { level: parseFloat(e.target.value) });
+            });
+            
+            ['lowpass', 'highpass'].forEach(setting => {
+                row.querySelector(`[data-setting="${setting}"]`).addEventListener('input', (e) => {
+                    this.engine.updateNoise(type, { [setting]: this.filterSliderToFrequency(parseFloat(e.target.value)) });
+                });
+            });
+        });
         
-        setTimeout(() => {
-            if (document.body.contains(errorDiv)) {
-                document.body.removeChild(errorDiv);
-            }
-        }, 5000);
+        this.updateNoiseDisplay();
     }
     
-    setupEventListeners() {
-        // Main play button
-        document.getElementById('play-pause').addEventListener('click', () => {
-            this.togglePlayback();
+    // Filter sliders run 0-100 on a log scale from 20 Hz to 20 kHz
+    filterSliderToFrequency(value) {
+        return Math.round(20 * Math.pow(1000, value / 100));
+    }
+    
+    frequencyToFilterSlider(freq) {
+        return Math.round(Math.log(freq / 20) / Math.log(1000) * 100);
+    }
+    
+    updateNoiseDisplay() {
+        document.querySelectorAll('.noise-layer').forEach(row => {
+            const settings = this.engine.state.noise[row.dataset.type];
+            const formatFreq = (freq) => freq >= 1000 ? `${(freq / 1000).toFixed(1)} kHz` : `${freq} Hz`;
+            
+            row.classList.toggle('enabled', settings.enabled);
+            row.querySelector('[data-setting="enabled"]').checked = settings.enabled;
+            row.querySelector('[data-setting="level"]').value = settings.level;
+            row.querySelector('[data-setting="lowpass"]').value = this.frequencyToFilterSlider(settings.lowpass);
+            row.querySelector('[data-setting="highpass"]').value = this.frequencyToFilterSlider(settings.highpass);
+            row.querySelector('[data-value="level"]').textContent = `${settings.level}%`;
+            row.querySelector('[data-value="lowpass"]').textContent = formatFreq(settings.lowpass);
+            row.querySelector('[data-value="highpass"]').textContent = formatFreq(settings.highpass);
         });
+    }
+    
+    setupMusicControls() {
+        const drop = document.getElementById('music-drop');
+        const fileInput = document.getElementById('music-files');
         
-        // Quick preset buttons
-        document.querySelectorAll('.quick-preset').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const preset = e.currentTarget.dataset.preset;
-                this.loadPreset(preset);
-                // Auto-play after selecting preset
-                if (!this.isPlaying) {
-                    setTimeout(() => this.togglePlayback(), 100);
-                }
-            });
+        fileInput.addEventListener('change', () => {
+            this.addMusicFiles(fileInput.files);
+            fileInput.value = '';
         });
         
-        // Band buttons
-        document.querySelectorAll('.band-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const band = e.currentTarget.dataset.band;
-                this.setFrequencyBand(band);
-            });
+        drop.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            drop.classList.add('dragging');
         });
-        
-        // Manual controls
-        const carrierSlider = document.getElementById('carrier-freq');
-        const beatSlider = document.getElementById('beat-freq');
-        const volumeSlider = document.getElementById('volume');
-        
-        carrierSlider.addEventListener('input', (e) => {
-            this.updateCarrierFrequency(parseFloat(e.target.value));
+        drop.addEventListener('dragleave', () => drop.classList.remove('dragging'));
+        drop.addEventListener('drop', (e) => {
+            e.preventDefault();
+            drop.classList.remove('dragging');
+            this.addMusicFiles(e.dataTransfer.files);
         });
         
-        beatSlider.addEventListener('input', (e) => {
-            this.updateBeatFrequency(parseFloat(e.target.value));
+        document.getElementById('music-mode').addEventListener('change', (e) => {
+            this.musicMode = e.target.value;
+            this.updateMusicDisplay();
+            if (this.music.tracks.length) {
+                this.updateMusicRouting();
+                this.engine.restartGraph();
+            }
         });
         
-        volumeSlider.addEventListener('input', (e) => {
-            this.updateVolume(parseFloat(e.target.value));
+        document.getElementById('music-balance').addEventListener('input', (e) => {
+            this.musicBalance = parseFloat(e.target.value);
+            this.updateMusicDisplay();
+            if (this.engine.isPlaying) {
+                this.applyMusicBalance();
+            }
         });
         
-        // Preset buttons
-        document.querySelectorAll('.preset-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const preset = e.currentTarget.dataset.preset;
-                this.loadPreset(preset);
-            });
+        document.getElementById('music-crossfade').addEventListener('input', (e) => {
+            this.music.crossfade = parseFloat(e.target.value);
+            this.updateMusicDisplay();
         });
         
-        // Stop button
-        document.getElementById('stop').addEventListener('click', () => {
-            this.stop();
+        document.getElementById('music-loop').addEventListener('change', (e) => {
+            this.music.loop = e.target.checked;
         });
         
-        // Update display values
-        this.updateDisplay();
+        this.renderPlaylist();
+        this.updateMusicDisplay();
     }
     
-    setFrequencyBand(band) {
-        const bandData = this.bands[band];
-        const beatFreq = bandData.default;
-        const carrierFreq = 400; // Default carrier frequency
+    // Decode dropped or chosen files into the playlist, one at a time to spare memory
+    async addMusicFiles(fileList) {
+        const files = Array.from(fileList).filter(file =>
+            file.type.startsWith('audio/') || /\.(mp3|wav|ogg|oga|opus|flac|m4a|aac)$/i.test(file.name));
         
-        document.getElementById('beat-freq').value = beatFreq;
-        document.getElementById('carrier-freq').value = carrierFreq;
+        if (!files.length) {
+            this.showError('No audio files found. Try MP3, WAV, OGG, FLAC or M4A.');
+            return;
+        }
+        if (!this.audioContext) {
+            this.showError('Enable audio first, then add your music.');
+            return;
+        }
         
-        this.updateBeatFrequency(beatFreq);
-        this.updateCarrierFrequency(carrierFreq);
-        this.updateDisplay();
+        const wasEmpty = !this.music.tracks.length;
+        const status = document.getElementById('music-status');
         
-        // Update active band button
-        document.querySelectorAll('.band-btn').forEach(btn => {
-            btn.classList.remove('active');
-        });
-        document.querySelector(`[data-band="${band}"]`).classList.add('active');
-    }
-    
-    loadPreset(presetName) {
-        const preset = this.presets[presetName];
-        if (!preset) return;
+        for (const file of files) {
+            status.textContent = `Decoding ${file.name}…`;
+            try {
+                const buffer = await MusicPlayer.decode(this.audioContext, file);
+                this.music.add(file.name.replace(/\.[^.]+$/, ''), buffer);
+            } catch (error) {
+                console.error('Error adding music:', error);
+                this.showError(error.message);
+                if (this.music.tracks.length >= MusicPlayer.maxTracks) break;
+            }
+        }
+        status.textContent = '';
         
-        document.getElementById('carrier-freq').value = preset.carrier;
-        document.getElementById('beat-freq').value = preset.beat;
-        document.getElementById('volume').value = preset.volume;
+        this.renderPlaylist();
+        this.updateMusicDisplay();
         
-        this.updateCarrierFrequency(preset.carrier);
-        this.updateBeatFrequency(preset.beat);
-        this.updateVolume(preset.volume);
-        this.updateDisplay();
+        // The first tracks join a session that's already playing
+        if (wasEmpty && this.music.tracks.length && this.musicMode !== 'off') {
+            this.updateMusicRouting();
+            this.engine.restartGraph();
+        }
     }
     
-    updateCarrierFrequency(frequency) {
-        if (this.isPlaying) {
-            const beatFreq = parseFloat(document.getElementById('beat-freq').value);
-            const leftFreq = frequency - beatFreq / 2;
-            const rightFreq = frequency + beatFreq / 2;
+    renderPlaylist() {
+        const list = document.getElementById('music-playlist');
+        const current = this.music.currentIndex;
+        list.innerHTML = '';
+        
+        this.music.tracks.forEach((track, index) => {
+            const item = document.createElement('li');
+            item.className = 'music-track';
+            item.classList.toggle('current', index === current);
+            item.innerHTML = `
+                <button class="music-track-name" title="Play this track"></button>
+                <span class="music-track-length">${this.formatTime(track.buffer.duration)}</span>
+                <button class="preset-action" data-action="remove" title="Remove">🗑️</button>
+            `;
             
-            if (this.leftOscillator) this.leftOscillator.frequency.setValueAtTime(leftFreq, this.audioContext.currentTime);
-            if (this.rightOscillator) this.rightOscillator.frequency.setValueAtTime(rightFreq, this.audioContext.currentTime);
-        }
-        this.updateDisplay();
+            const name = item.querySelector('.music-track-name');
+            name.textContent = track.name;
+            name.addEventListener('click', () => {
+                this.music.jump(index);
+                this.renderPlaylist();
+            });
+            
+            item.querySelector('[data-action="remove"]').addEventListener('click', () => {
+                const playing = this.music.playing;
+                this.music.remove(index);
+                this.renderPlaylist();
+                this.updateMusicDisplay();
+                
+                // Bring the tones back once the last track is gone
+                if (!this.music.tracks.length && playing) {
+                    this.updateMusicRouting();
+                    this.engine.restartGraph();
+                }
+            });
+            
+            list.appendChild(item);
+        });
+        
+        this.playlistIndex = current;
     }
     
-    updateBeatFrequency(frequency) {
-        if (this.isPlaying) {
-            const carrierFreq = parseFloat(document.getElementById('carrier-freq').value);
-            const leftFreq = carrierFreq - frequency / 2;
-            const rightFreq = carrierFreq + frequency / 2;
-            
-            if (this.leftOscillator) this.leftOscillator.frequency.setValueAtTime(leftFreq, this.audioContext.currentTime);
-            if (this.rightOscillator) this.rightOscillator.frequency.setValueAtTime(rightFreq, this.audioContext.currentTime);
+    // Follow the playlist as tracks advance on their own
+    updatePlaylist() {
+        if (this.music.currentIndex !== this.playlistIndex) {
+            this.renderPlaylist();
         }
-        this.updateDisplay();
     }
     
-    updateVolume(volume) {
-        this.updateDisplay();
+    updateMusicDisplay() {
+        const hints = {
+            mix: 'Your music plays under the beat tones.',
+            shift: 'The music carries the beat: each ear hears it shifted by half the beat frequency, in opposite directions. Tracks are folded to mono first. Music with sustained tones carries the beat best.',
+            off: 'Music is paused out of the mix; the playlist is kept.'
+        };
+        
+        document.getElementById('music-hint').textContent = this.music.tracks.length
+            ? hints[this.musicMode]
+            : 'Add local audio files to play them with the beat. They stay on this device.';
+        document.getElementById('music-balance-group').style.display = this.musicMode === 'mix' ? 'block' : 'none';
+        document.getElementById('music-balance-value').textContent = `${this.musicBalance}% music`;
+        document.getElementById('music-crossfade-value').textContent = this.music.crossfade ? `${this.music.crossfade} s` : 'Gapless';
     }
     
-    updateDisplay() {
-        const carrierFreq = parseFloat(document.getElementById('carrier-freq').value);
-        const beatFreq = parseFloat(document.getElementById('beat-freq').value);
-        const volume = parseFloat(document.getElementById('volume').value);
+    setupExportControls() {
+        const sourceSelect = document.getElementById('export-source');
         
-        const leftFreq = carrierFreq - beatFreq / 2;
-        const rightFreq = carrierFreq + beatFreq / 2;
+        sourceSelect.addEventListener('change', () => this.updateExportControls());
         
-        document.getElementById('carrier-value').textContent = `${carrierFreq} Hz`;
-        document.getElementById('beat-value').textContent = `${beatFreq} Hz`;
-        document.getElementById('volume-value').textContent = `${volume}%`;
+        document.getElementById('export-wav').addEventListener('click', () => {
+            this.exportWav();
+        });
         
-        document.getElementById('left-freq').textContent = `${leftFreq.toFixed(1)} Hz`;
-        document.getElementById('right-freq').textContent = `${rightFreq.toFixed(1)} Hz`;
-        document.getElementById('beat-display').textContent = `${beatFreq} Hz`;
+        document.getElementById('export-cancel').addEventListener('click', () => {
+            this.exportCancelled = true;
+        });
+        
+        this.updateExportControls();
     }
     
-    async togglePlayback() {
-        if (this.isPlaying) {
-            this.pause();
+    renderExportSources() {
+        const sourceSelect = document.getElementById('export-source');
+        const selected = sourceSelect.value;
+        
+        sourceSelect.querySelectorAll('option:not([value="current"])').forEach(option => option.remove());
+        Object.entries(this.presets).forEach(([key, preset]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = preset.stages && preset.stages.length ? `${preset.name} (session)` : preset.name;
+            sourceSelect.appendChild(option);
+        });
+        
+        sourceSelect.value = this.presets[selected] ? selected : 'current';
+        this.updateExportControls();
+    }
+    
+    updateExportControls() {
+        const source = document.getElementById('export-source').value;
+        const preset = this.presets[source];
+        const lengthSelect = document.getElementById('export-length');
+        const lengthNote = document.getElementById('export-length-note');
+        
+        // Session programs carry their own length
+        if (preset && preset.stages && preset.stages.length) {
+            const program = new SessionProgram(preset);
+            lengthSelect.disabled = true;
+            lengthNote.textContent = `Full session: ${this.formatTime(program.duration)}`;
         } else {
-            await this.play();
+            lengthSelect.disabled = false;
+            lengthNote.textContent = '';
         }
     }
     
-    async play() {
-        try {
-            // Check if audio context exists
-            if (!this.audioContext) {
-                this.showError('Audio system not initialized. Please click to enable audio first.');
-                return;
-            }
-            
-            // Resume audio context if suspended
-            if (this.audioContext.state === 'suspended') {
-                await this.audioContext.resume();
-            }
-            
-            const carrierFreq = parseFloat(document.getElementById('carrier-freq').value);
-            const beatFreq = parseFloat(document.getElementById('beat-freq').value);
-            const volume = parseFloat(document.getElementById('volume').value);
-            
-            const leftFreq = carrierFreq - beatFreq / 2;
-            const rightFreq = carrierFreq + beatFreq / 2;
-            
-            // Create oscillators - simple approach like original
-            this.leftOscillator = this.audioContext.createOscillator();
-            this.rightOscillator = this.audioContext.createOscillator();
-            
-            // Create gain nodes
-            const leftGain = this.audioContext.createGain();
-            const rightGain = this.audioContext.createGain();
-            
-            // Set frequencies
-            this.leftOscillator.frequency.setValueAtTime(leftFreq, this.audioContext.currentTime);
-            this.rightOscillator.frequency.setValueAtTime(rightFreq, this.audioContext.currentTime);
-            
-            // Set volume
-            leftGain.gain.setValueAtTime(volume / 100, this.audioContext.currentTime);
-            rightGain.gain.setValueAtTime(volume / 100, this.audioContext.currentTime);
-            
-            // Simple stereo routing - like original
-            this.leftOscillator.connect(leftGain);
-            this.rightOscillator.connect(rightGain);
-            
-            // Create stereo panners
-            const leftPanner = this.audioContext.createStereoPanner();
-            const rightPanner = this.audioContext.createStereoPanner();
-            
-            leftPanner.pan.setValueAtTime(-1, this.audioContext.currentTime);
-            rightPanner.pan.setValueAtTime(1, this.audioContext.currentTime);
-            
-            leftGain.connect(leftPanner);
-            rightGain.connect(rightPanner);
-            
-            leftPanner.connect(this.audioContext.destination);
-            rightPanner.connect(this.audioContext.destination);
-            
-            // Start oscillators
-            this.leftOscillator.start();
-            this.rightOscillator.start();
-            
-            this.isPlaying = true;
-            this.startTime = this.audioContext.currentTime;
-            
-            // Update UI
-            document.getElementById('play-pause').textContent = '⏸️ Pause';
-            document.getElementById('play-pause').classList.add('playing');
-            
-            // Start timer
-            this.startTimer();
-            
-        } catch (error) {
-            console.error('Error playing audio:', error);
-            this.showError('Failed to play audio. Please check your browser audio settings.');
+    getExportProgram() {
+        const source = document.getElementById('export-source').value;
+        const preset = this.presets[source];
+        if (preset && preset.stages && preset.stages.length) {
+            return new SessionProgram(preset);
         }
+        
+        // Wrap the chosen fixed preset, or the current settings, in a single-stage program
+        const state = preset || this.getCurrentState();
+        return new SessionProgram({
+            ...state,
+            name: preset ? preset.name : 'Custom',
+            stages: [{ label: 'Hold', minutes: parseFloat(document.getElementById('export-length').value), beat: state.beat }]
+        });
     }
     
-    pause() {
-        if (this.leftOscillator) {
-            this.leftOscillator.stop();
-            this.leftOscillator = null;
-        }
-        if (this.rightOscillator) {
-            this.rightOscillator.stop();
-            this.rightOscillator = null;
+    async exportWav() {
+        if (this.isExporting) return;
+        
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        if (!OfflineContext) {
+            this.showError('Offline rendering is not supported in this browser.');
+            return;
         }
         
-        this.isPlaying = false;
-        this.stopTimer();
-        this.releaseWakeLock();
+        const program = this.getExportProgram();
+        const bitDepth = parseInt(document.getElementById('export-depth').value, 10);
+        const sampleRate = 44100;
+        const chunkFrames = sampleRate * 30;
+        const totalFrames = Math.round(program.duration * sampleRate);
+        const encoder = new WavEncoder(sampleRate, 2, bitDepth);
+        
+        this.isExporting = true;
+        this.exportCancelled = false;
+        this.setExportProgress(0);
         
-        // Update UI
-        document.getElementById('play-pause').textContent = '▶️ Start';
-        document.getElementById('play-pause').classList.remove('playing');
-    }
-    
-    async requestWakeLock() {
         try {
-            if ('wakeLock' in navigator) {
-                this.wakeLock = await navigator.wakeLock.request('screen');
-                console.log('Wake lock acquired');
+            // Render in short chunks so a long session never blocks the tab
+            for (let startFrame = 0; startFrame < totalFrames; startFrame += chunkFrames) {
+                if (this.exportCancelled) {
+                    console.log('WAV export cancelled');
+                    return;
+                }
                 
-                this.wakeLock.addEventListener('release', () => {
-                    console.log('Wake lock released');
-                });
+                const frames = Math.min(chunkFrames, totalFrames - startFrame);
+                const buffer = await this.engine.renderChunk(OfflineContext, program, startFrame, frames, sampleRate);
+                encoder.encodeChunk(buffer);
+                
+                this.setExportProgress((startFrame + frames) / totalFrames);
+                await new Promise(resolve => setTimeout(resolve, 0));
             }
-        } catch (err) {
-            console.log('Wake lock failed:', err);
+            
+            const minutes = Math.round(program.duration / 60);
+            const slug = program.name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+            this.downloadBlob(encoder.toBlob(), `bee-neural-beats-${slug}-${minutes}min.wav`);
+        } catch (error) {
+            console.error('Error exporting WAV:', error);
+            this.showError('Failed to export audio. Try a shorter length.');
+        } finally {
+            this.isExporting = false;
+            this.setExportProgress(null);
         }
     }
     
-    releaseWakeLock() {
-        if (this.wakeLock) {
-            this.wakeLock.release();
-            this.wakeLock = null;
+    setExportProgress(progress) {
+        const status = document.getElementById('export-status');
+        const exportButton = document.getElementById('export-wav');
+        const cancelButton = document.getElementById('export-cancel');
+        
+        if (progress === null) {
+            status.style.display = 'none';
+            exportButton.disabled = false;
+            cancelButton.style.display = 'none';
+            return;
         }
+        
+        status.style.display = 'flex';
+        exportButton.disabled = true;
+        cancelButton.style.display = 'inline-block';
+        document.getElementById('export-progress').value = progress * 100;
+        document.getElementById('export-progress-text').textContent = `${Math.floor(progress * 100)}%`;
     }
     
-    stop() {
-        this.pause();
-        this.startTime = null;
-        document.getElementById('timer').textContent = '00:00';
-    }
-    
-    startTimer() {
-        this.timerInterval = setInterval(() => {
-            if (this.startTime) {
-                const elapsed = this.audioContext.currentTime - this.startTime;
-                const minutes = Math.floor(elapsed / 60);
-                const seconds = Math.floor(elapsed % 60);
-                document.getElementById('timer').textContent = 
-                    `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
-            }
-        }, 1000);
-    }
-    
-    stopTimer() {
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-            this.timerInterval = null;
-        }
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
     }
     
     setupVisualization() {
@@ -585,109 +3319,116 @@ class BinauralBeatsGenerator {
         this.setupBeatVisualizer();
     }
     
+    // Analysers tap the master output: one per ear plus the summed mix.
+    // They're created once per AudioContext and each new master gain is hooked up on play.
+    connectAnalysers(source) {
+        if (!this.analysers) {
+            const context = this.audioContext;
+            const createAnalyser = () => {
+                const analyser = context.createAnalyser();
+                analyser.fftSize = 32768;
+                analyser.smoothingTimeConstant = 0.6;
+                analyser.minDecibels = -110;
+                analyser.maxDecibels = -10;
+                return analyser;
+            };
+            
+            const splitter = context.createChannelSplitter(2);
+            const left = createAnalyser();
+            const right = createAnalyser();
+            const mix = createAnalyser();
+            
+            // Force a mono downmix so the mix analyser sees L+R
+            mix.channelCount = 1;
+            mix.channelCountMode = 'explicit';
+            
+            splitter.connect(left, 0);
+            splitter.connect(right, 1);
+            this.analysers = { splitter, left, right, mix };
+        }
+        
+        source.connect(this.analysers.splitter);
+        source.connect(this.analysers.mix);
+    }
+    
     setupWaveformVisualization() {
         const canvas = document.getElementById('waveform');
         const ctx = canvas.getContext('2d');
         const statusElement = document.getElementById('waveform-status');
         
-        let animationTime = 0;
+        let leftData = null;
+        let rightData = null;
         
         const drawWaveform = () => {
             ctx.clearRect(0, 0, canvas.width, canvas.height);
             
-            if (this.isPlaying) {
-                const carrierFreq = parseFloat(document.getElementById('carrier-freq').value);
-                const beatFreq = parseFloat(document.getElementById('beat-freq').value);
-                const volume = parseFloat(document.getElementById('volume').value);
+            if (this.engine.isPlaying && this.analysers) {
+                const { left, right } = this.analysers;
+                if (!leftData) {
+                    leftData = new Float32Array(left.fftSize);
+                    rightData = new Float32Array(right.fftSize);
+                }
+                left.getFloatTimeDomainData(leftData);
+                right.getFloatTimeDomainData(rightData);
                 
                 // Update status
                 statusElement.textContent = 'Playing';
                 statusElement.style.color = '#00FF00';
                 
-                // Create gradient for waveform
-                const gradient = ctx.createLinearGradient(0, 0, canvas.width, 0);
-                gradient.addColorStop(0, '#FFD700');
-                gradient.addColorStop(0.5, '#FFA500');
-                gradient.addColorStop(1, '#FFD700');
+                // Show a 20 ms window, triggered on the left channel so the trace holds still
+                const windowMs = 20;
+                const windowSize = Math.round(this.audioContext.sampleRate * windowMs / 1000);
+                const trigger = SignalAnalysis.findTrigger(leftData, leftData.length - windowSize);
+                const scale = canvas.height / 2 * 0.9;
                 
-                ctx.strokeStyle = gradient;
-                ctx.lineWidth = 3;
-                ctx.shadowColor = '#FFD700';
-                ctx.shadowBlur = 10;
+                const drawTrace = (sampleAt) => {
+                    ctx.beginPath();
+                    for (let x = 0; x < canvas.width; x++) {
+                        const index = trigger + Math.floor(x / canvas.width * windowSize);
+                        const y = canvas.height / 2 - sampleAt(index) * scale;
+                        
+                        if (x === 0) {
+                            ctx.moveTo(x, y);
+                        } else {
+                            ctx.lineTo(x, y);
+                        }
+                    }
+                    ctx.stroke();
+                };
                 
                 // Draw left channel waveform
-                ctx.beginPath();
                 ctx.strokeStyle = '#00BFFF';
-                ctx.lineWidth = 2;
                 ctx.shadowColor = '#00BFFF';
-                
-                for (let x = 0; x < canvas.width; x++) {
-                    const time = (x / canvas.width * 0.1) + animationTime;
-                    const leftFreq = carrierFreq - beatFreq / 2;
-                    const leftWave = Math.sin(2 * Math.PI * leftFreq * time) * (volume / 100);
-                    const y = canvas.height / 2 + leftWave * 60;
-                    
-                    if (x === 0) {
-                        ctx.moveTo(x, y);
-                    } else {
-                        ctx.lineTo(x, y);
-                    }
-                }
-                ctx.stroke();
+                ctx.shadowBlur = 10;
+                ctx.lineWidth = 2;
+                drawTrace(i => leftData[i]);
                 
                 // Draw right channel waveform
-                ctx.beginPath();
                 ctx.strokeStyle = '#FF6B6B';
                 ctx.shadowColor = '#FF6B6B';
-                
-                for (let x = 0; x < canvas.width; x++) {
-                    const time = (x / canvas.width * 0.1) + animationTime;
-                    const rightFreq = carrierFreq + beatFreq / 2;
-                    const rightWave = Math.sin(2 * Math.PI * rightFreq * time) * (volume / 100);
-                    const y = canvas.height / 2 + rightWave * 60;
-                    
-                    if (x === 0) {
-                        ctx.moveTo(x, y);
-                    } else {
-                        ctx.lineTo(x, y);
-                    }
-                }
-                ctx.stroke();
+                drawTrace(i => rightData[i]);
                 
                 // Draw combined waveform
-                ctx.beginPath();
+                const gradient = ctx.createLinearGradient(0, 0, canvas.width, 0);
+                gradient.addColorStop(0, '#FFD700');
+                gradient.addColorStop(0.5, '#FFA500');
+                gradient.addColorStop(1, '#FFD700');
                 ctx.strokeStyle = gradient;
-                ctx.lineWidth = 3;
                 ctx.shadowColor = '#FFD700';
+                ctx.lineWidth = 3;
+                drawTrace(i => (leftData[i] + rightData[i]) / 2);
                 
-                for (let x = 0; x < canvas.width; x++) {
-                    const time = (x / canvas.width * 0.1) + animationTime;
-                    const leftFreq = carrierFreq - beatFreq / 2;
-                    const rightFreq = carrierFreq + beatFreq / 2;
-                    
-                    const leftWave = Math.sin(2 * Math.PI * leftFreq * time) * (volume / 100);
-                    const rightWave = Math.sin(2 * Math.PI * rightFreq * time) * (volume / 100);
-                    const combinedWave = (leftWave + rightWave) / 2;
-                    
-                    const y = canvas.height / 2 + combinedWave * 40;
-                    
-                    if (x === 0) {
-                        ctx.moveTo(x, y);
-                    } else {
-                        ctx.lineTo(x, y);
-                    }
-                }
-                ctx.stroke();
+                // Draw measured levels
+                const leftLevel = SignalAnalysis.toDecibels(SignalAnalysis.rms(leftData));
+                const rightLevel = SignalAnalysis.toDecibels(SignalAnalysis.rms(rightData));
+                const formatLevel = (level) => isFinite(level) ? `${level.toFixed(1)} dB` : '-∞ dB';
                 
-                // Draw frequency indicators
                 ctx.shadowBlur = 0;
                 ctx.fillStyle = '#FFD700';
                 ctx.font = 'bold 14px Arial';
-                ctx.fillText(`Beat: ${beatFreq} Hz`, 10, 25);
-                ctx.fillText(`Carrier: ${carrierFreq} Hz`, 10, 45);
-                ctx.fillText(`Volume: ${volume}%`, 10, 65);
-                
-                animationTime += 0.02;
+                ctx.fillText(`L: ${formatLevel(leftLevel)}`, 10, 25);
+                ctx.fillText(`R: ${formatLevel(rightLevel)}`, 10, 45);
+                ctx.fillText(`${windowMs} ms`, 10, 65);
             } else {
                 statusElement.textContent = 'Stopped';
                 statusElement.style.color = '#FF6B6B';
@@ -700,10 +3441,33 @@ class BinauralBeatsGenerator {
                 ctx.lineTo(canvas.width, canvas.height / 2);
                 ctx.stroke();
                 
+                // Preview two cycles of the chosen carrier shape
+                const partials = Waveforms.partials(this.engine.state.timbre);
+                const scale = canvas.height / 2 * 0.7;
+                ctx.strokeStyle = 'rgba(255, 215, 0, 0.4)';
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                for (let x = 0; x < canvas.width; x++) {
+                    const t = x / canvas.width * 2;
+                    let value = 0;
+                    partials.forEach(({ harmonic, level }) => {
+                        value += level * Math.sin(2 * Math.PI * harmonic * t);
+                    });
+                    const y = canvas.height / 2 - value * scale;
+                    if (x === 0) {
+                        ctx.moveTo(x, y);
+                    } else {
+                        ctx.lineTo(x, y);
+                    }
+                }
+                ctx.stroke();
+                
                 ctx.fillStyle = '#666666';
                 ctx.font = '16px Arial';
                 ctx.textAlign = 'center';
                 ctx.fillText('Audio Stopped', canvas.width / 2, canvas.height / 2);
+                ctx.font = '12px Arial';
+                ctx.fillText(`${Waveforms.timbres[this.engine.state.timbre.type].label} carrier`, canvas.width / 2, canvas.height - 12);
                 ctx.textAlign = 'left';
             }
             
@@ -716,110 +3480,231 @@ class BinauralBeatsGenerator {
     setupSpectrumAnalyzer() {
         const canvas = document.getElementById('spectrum');
         const ctx = canvas.getContext('2d');
+        const peaksElement = document.getElementById('spectrum-peaks');
+        
+        // Spectrum mode buttons
+        document.querySelectorAll('.spectrum-mode-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.spectrumMode = e.currentTarget.dataset.mode;
+                document.querySelectorAll('.spectrum-mode-btn').forEach(other => {
+                    other.classList.toggle('active', other === e.currentTarget);
+                    other.setAttribute('aria-pressed', other === e.currentTarget ? 'true' : 'false');
+                });
+            });
+        });
+        
+        const minDb = -110;
+        const maxDb = -10;
+        const logRange = { low: 20, high: 10000 };
+        let spectra = null;
+        let lastReadout = 0;
         
-        const drawSpectrum = () => {
+        const yFor = (db) => {
+            const level = Math.max(0, Math.min(1, (db - minDb) / (maxDb - minDb)));
+            return canvas.height - 15 - level * (canvas.height - 25);
+        };
+        
+        // Loudest bin between two frequencies, so each pixel shows its true peak
+        const levelBetween = (spectrum, binWidth, lowFreq, highFreq) => {
+            const first = Math.max(0, Math.floor(lowFreq / binWidth));
+            const last = Math.min(spectrum.length - 1, Math.max(first, Math.ceil(highFreq / binWidth)));
+            let level = -Infinity;
+            for (let i = first; i <= last; i++) {
+                if (spectrum[i] > level) level = spectrum[i];
+            }
+            return level;
+        };
+        
+        const drawCurve = (spectrum, binWidth, freqAt, color, fill) => {
+            ctx.beginPath();
+            ctx.moveTo(0, canvas.height - 15);
+            for (let x = 0; x < canvas.width; x++) {
+                ctx.lineTo(x, yFor(levelBetween(spectrum, binWidth, freqAt(x), freqAt(x + 1))));
+            }
+            ctx.lineTo(canvas.width, canvas.height - 15);
+            
+            if (fill) {
+                const gradient = ctx.createLinearGradient(0, 0, 0, canvas.height);
+                gradient.addColorStop(0, color);
+                gradient.addColorStop(1, '#000000');
+                ctx.fillStyle = gradient;
+                ctx.fill();
+            }
+            ctx.strokeStyle = color;
+            ctx.shadowColor = color;
+            ctx.shadowBlur = 5;
+            ctx.lineWidth = 2;
+            ctx.stroke();
+            ctx.shadowBlur = 0;
+        };
+        
+        const drawMarker = (x, color) => {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, canvas.height - 15);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        };
+        
+        const drawSpectrum = (timestamp) => {
             ctx.clearRect(0, 0, canvas.width, canvas.height);
             
-            if (this.isPlaying) {
-                const carrierFreq = parseFloat(document.getElementById('carrier-freq').value);
-                const beatFreq = parseFloat(document.getElementById('beat-freq').value);
-                const volume = parseFloat(document.getElementById('volume').value);
+            if (this.engine.isPlaying && this.analysers) {
+                const { left, right, mix } = this.analysers;
+                if (!spectra) {
+                    spectra = {
+                        left: new Float32Array(left.frequencyBinCount),
+                        right: new Float32Array(right.frequencyBinCount),
+                        mix: new Float32Array(mix.frequencyBinCount)
+                    };
+                }
+                left.getFloatFrequencyData(spectra.left);
+                right.getFloatFrequencyData(spectra.right);
+                mix.getFloatFrequencyData(spectra.mix);
                 
-                const leftFreq = carrierFreq - beatFreq / 2;
-                const rightFreq = carrierFreq + beatFreq / 2;
+                const binWidth = this.audioContext.sampleRate / left.fftSize;
+                const { carrier: carrierFreq, beat: beatFreq } = this.engine.state;
                 
-                // Draw frequency bars
-                const barWidth = canvas.width / 64;
-                const maxHeight = canvas.height - 20;
+                const leftPeak = SignalAnalysis.findPeak(spectra.left, binWidth, 20, 20000);
+                const rightPeak = SignalAnalysis.findPeak(spectra.right, binWidth, 20, 20000);
                 
-                for (let i = 0; i < 64; i++) {
-                    const freq = (i / 64) * 1000; // 0-1000 Hz range
-                    let height = 0;
-                    let color = '#333333';
-                    
-                    // Calculate bar height based on frequency content
-                    if (Math.abs(freq - leftFreq) < 10) {
-                        height = maxHeight * 0.8 * (volume / 100);
-                        color = '#00BFFF';
-                    } else if (Math.abs(freq - rightFreq) < 10) {
-                        height = maxHeight * 0.8 * (volume / 100);
-                        color = '#FF6B6B';
-                    } else if (Math.abs(freq - carrierFreq) < 20) {
-                        height = maxHeight * 0.4 * (volume / 100);
-                        color = '#FFD700';
-                    }
+                ctx.fillStyle = '#FFD700';
+                ctx.font = '10px Arial';
+                
+                if (this.spectrumMode === 'zoom') {
+                    // Linear window around the carrier, wide enough to split the two tones
+                    const span = Math.max(beatFreq * 4, 20);
+                    const low = carrierFreq - span / 2;
+                    const freqAt = (x) => low + (x / canvas.width) * span;
+                    const xFor = (freq) => (freq - low) / span * canvas.width;
                     
-                    // Add some randomness for visual appeal
-                    height += Math.random() * 10;
+                    drawCurve(spectra.left, binWidth, freqAt, '#00BFFF', false);
+                    drawCurve(spectra.right, binWidth, freqAt, '#FF6B6B', false);
                     
-                    const x = i * barWidth;
-                    const y = canvas.height - height;
+                    if (leftPeak) drawMarker(xFor(leftPeak.frequency), '#00BFFF');
+                    if (rightPeak) drawMarker(xFor(rightPeak.frequency), '#FF6B6B');
                     
-                    // Create gradient for bars
-                    const gradient = ctx.createLinearGradient(0, y, 0, canvas.height);
-                    gradient.addColorStop(0, color);
-                    gradient.addColorStop(1, '#000000');
+                    ctx.fillStyle = '#FFD700';
+                    ctx.fillText(`${low.toFixed(1)} Hz`, 5, canvas.height - 3);
+                    ctx.textAlign = 'center';
+                    ctx.fillText(`${carrierFreq} Hz`, canvas.width / 2, canvas.height - 3);
+                    ctx.textAlign = 'right';
+                    ctx.fillText(`${(low + span).toFixed(1)} Hz`, canvas.width - 5, canvas.height - 3);
+                    ctx.textAlign = 'left';
+                } else {
+                    // Log frequency axis
+                    const ratio = logRange.high / logRange.low;
+                    const freqAt = (x) => logRange.low * Math.pow(ratio, x / canvas.width);
+                    const xFor = (freq) => Math.log(freq / logRange.low) / Math.log(ratio) * canvas.width;
                     
-                    ctx.fillStyle = gradient;
-                    ctx.fillRect(x, y, barWidth - 1, height);
+                    drawCurve(spectra.mix, binWidth, freqAt, '#FFD700', true);
                     
-                    // Add glow effect
-                    ctx.shadowColor = color;
-                    ctx.shadowBlur = 5;
-                    ctx.fillRect(x, y, barWidth - 1, height);
-                    ctx.shadowBlur = 0;
+                    ctx.fillStyle = '#FFD700';
+                    ctx.textAlign = 'center';
+                    [50, 100, 200, 500, 1000, 2000, 5000].forEach(freq => {
+                        const x = xFor(freq);
+                        ctx.fillRect(x, canvas.height - 15, 1, 3);
+                        ctx.fillText(freq >= 1000 ? `${freq / 1000}k` : `${freq}`, x, canvas.height - 3);
+                    });
+                    ctx.textAlign = 'left';
                 }
                 
-                // Draw frequency labels
-                ctx.fillStyle = '#FFD700';
-                ctx.font = '10px Arial';
-                ctx.fillText('0 Hz', 5, canvas.height - 5);
-                ctx.fillText('500 Hz', canvas.width / 2 - 20, canvas.height - 5);
-                ctx.fillText('1000 Hz', canvas.width - 30, canvas.height - 5);
+                // Throttle the text readout so the numbers are readable
+                if (timestamp - lastReadout > 250) {
+                    lastReadout = timestamp;
+                    peaksElement.textContent = leftPeak && rightPeak
+                        ? `L ${leftPeak.frequency.toFixed(1)} Hz · R ${rightPeak.frequency.toFixed(1)} Hz · Δ ${(rightPeak.frequency - leftPeak.frequency).toFixed(1)} Hz`
+                        : 'No signal';
+                }
+            } else {
+                peaksElement.textContent = 'L — · R —';
             }
             
             requestAnimationFrame(drawSpectrum);
         };
         
-        drawSpectrum();
+        requestAnimationFrame(drawSpectrum);
     }
     
     setupBeatVisualizer() {
         const beatCircle = document.getElementById('beat-circle');
         const beatPulse = document.getElementById('beat-pulse');
         const beatFrequency = document.getElementById('beat-frequency');
+        const layerRings = document.getElementById('beat-layer-rings');
+        const beatCaption = document.getElementById('beat-caption');
+        let ringIds = '';
         
-        let beatAnimation = null;
+        // Circle colour by frequency band
+        const bandColors = {
+            delta: '#8A2BE2', // Purple
+            theta: '#4169E1', // Blue
+            alpha: '#00BFFF', // Light Blue
+            beta: '#FFD700', // Gold
+            gamma: '#FF4500' // Red Orange
+        };
         
         const animateBeat = () => {
-            if (this.isPlaying) {
-                const beatFreq = parseFloat(document.getElementById('beat-freq').value);
-                const beatInterval = 1000 / beatFreq; // Convert Hz to milliseconds
+            // While a breathing pattern runs, the circle paces the breath instead of the beat
+            const breathing = this.breathingNow();
+            beatCircle.classList.toggle('breathing', !!breathing);
+            beatPulse.style.transform = breathing ? `scale(${1 + breathing.phase.fullness * 4})` : '';
+            
+            if (breathing) {
+                const { pattern, phase, until, clock } = breathing;
+                beatFrequency.textContent = `${phase.label} · ${Math.ceil(phase.remaining)}`;
+                beatCaption.textContent = isFinite(until) && !this.engine.program
+                    ? `${pattern.name} · ${this.formatTime(until - clock)} left`
+                    : pattern.name;
+                beatCircle.style.borderColor = '#FFD700';
+                beatPulse.style.visibility = 'visible';
+            } else if (this.engine.isPlaying) {
+                beatCaption.textContent = 'Beat Pattern';
+                const { beat: beatFreq, base, layers: beatLayers } = this.engine.state;
+                const baseAudible = BeatLayers.levels(base, beatLayers).base > 0;
+                const layers = BeatLayers.audible(base, beatLayers);
+                const beats = (baseAudible ? [beatFreq] : []).concat(layers.map(layer => layer.beat));
                 
-                beatFrequency.textContent = `${beatFreq} Hz`;
+                beatFrequency.textContent = beats.length ? beats.map(beat => `${beat} Hz`).join(' + ') : 'Muted';
                 
                 // Animate the pulse
-                beatPulse.style.animationDuration = `${beatInterval}ms`;
+                beatPulse.style.animationDuration = `${1000 / beatFreq}ms`;
+                beatPulse.style.visibility = baseAudible ? 'visible' : 'hidden';
+                beatCircle.style.borderColor = bandColors[this.bandFor(beatFreq)];
                 
-                // Change circle color based on frequency band
-                if (beatFreq >= 1 && beatFreq <= 4) {
-                    beatCircle.style.borderColor = '#8A2BE2'; // Delta - Purple
-                } else if (beatFreq >= 4 && beatFreq <= 8) {
-                    beatCircle.style.borderColor = '#4169E1'; // Theta - Blue
-                } else if (beatFreq >= 8 && beatFreq <= 13) {
-                    beatCircle.style.borderColor = '#00BFFF'; // Alpha - Light Blue
-                } else if (beatFreq >= 12 && beatFreq <= 30) {
-                    beatCircle.style.borderColor = '#FFD700'; // Beta - Gold
-                } else if (beatFreq >= 30 && beatFreq <= 100) {
-                    beatCircle.style.borderColor = '#FF4500'; // Gamma - Red Orange
+                // Every audible extra layer pulses as a ring of its own
+                const ids = layers.map(layer => layer.id).join('|');
+                if (ids !== ringIds) {
+                    ringIds = ids;
+                    layerRings.innerHTML = '';
+                    layers.forEach((layer, index) => {
+                        const ring = document.createElement('div');
+                        ring.className = 'beat-layer-ring';
+                        ring.style.width = `${50 + index * 20}px`;
+                        ring.style.height = `${50 + index * 20}px`;
+                        layerRings.appendChild(ring);
+                    });
                 }
-                
-                beatAnimation = requestAnimationFrame(animateBeat);
+                layers.forEach((layer, index) => {
+                    const ring = layerRings.children[index];
+                    ring.style.borderColor = bandColors[this.bandFor(layer.beat)];
+                    ring.style.animationDuration = `${1000 / layer.beat}ms`;
+                });
             } else {
+                beatCaption.textContent = 'Beat Pattern';
                 beatFrequency.textContent = '0 Hz';
                 beatCircle.style.borderColor = '#FFD700';
                 beatPulse.style.animationDuration = '1s';
+                beatPulse.style.visibility = 'visible';
+                if (ringIds) {
+                    ringIds = '';
+                    layerRings.innerHTML = '';
+                }
             }
+            
+            requestAnimationFrame(animateBeat);
         };
         
         animateBeat();
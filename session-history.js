@@ -0,0 +1,203 @@
+// Listening history for Bee Neural Beats
+//
+// A record covers one session from first play to stop. Only listening time
+// counts: the generator samples the current settings once a second while
+// playing, so paused time never reaches the totals. Records are kept in
+// localStorage, newest last, up to `limit` entries.
+export class SessionHistory {
+    constructor(storageKey = 'bee-neural-beats:history', limit = 1000) {
+        this.storageKey = storageKey;
+        this.limit = limit;
+        this.sessions = this.read();
+        this.current = null;
+    }
+
+    read() {
+        try {
+            const data = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(data) ? data.filter(session => session && session.start) : [];
+        } catch (error) {
+            console.error('Error reading session history:', error);
+            return [];
+        }
+    }
+
+    write() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.sessions));
+        } catch (error) {
+            console.error('Error saving session history:', error);
+            throw new Error('Could not save session history. Storage may be full or disabled.');
+        }
+    }
+
+    list() {
+        return this.sessions.slice();
+    }
+
+    clear() {
+        this.sessions = [];
+        this.write();
+    }
+
+    start() {
+        this.current = {
+            id: `session-${Date.now().toString(36)}`,
+            start: new Date().toISOString(),
+            end: null,
+            duration: 0,
+            preset: null,
+            band: null,
+            presets: {},
+            bands: {},
+            changes: []
+        };
+    }
+
+    // Add `seconds` of listening, ending now, at the given settings:
+    // { carrier, beat, mode, band, preset }. Samples arrive about once a
+    // second, so a change is logged at the sample before it was heard.
+    sample(seconds, settings) {
+        if (!this.current) return;
+
+        const session = this.current;
+        const presetName = settings.preset || 'Custom';
+        const t = Math.round(session.duration);
+        session.duration += seconds;
+        session.bands[settings.band] = (session.bands[settings.band] || 0) + seconds;
+        session.presets[presetName] = (session.presets[presetName] || 0) + seconds;
+
+        const last = session.changes[session.changes.length - 1];
+        const carrier = Math.round(settings.carrier * 10) / 10;
+        const beat = Math.round(settings.beat * 100) / 100;
+        const preset = settings.preset || null;
+        if (!last || last.carrier !== carrier || last.beat !== beat || last.mode !== settings.mode || last.preset !== preset) {
+            session.changes.push({
+                t,
+                carrier,
+                beat,
+                mode: settings.mode,
+                preset
+            });
+        }
+    }
+
+    // Close the current record. Sessions under `minimum` seconds aren't kept.
+    finish(minimum = 10) {
+        const session = this.current;
+        this.current = null;
+        if (!session || session.duration < minimum) return null;
+
+        const largest = (totals) => Object.keys(totals).reduce((best, key) =>
+            best === null || totals[key] > totals[best] ? key : best, null);
+
+        session.end = new Date().toISOString();
+        session.duration = Math.round(session.duration);
+        session.band = largest(session.bands);
+        session.preset = largest(session.presets);
+        Object.keys(session.bands).forEach(band => {
+            session.bands[band] = Math.round(session.bands[band]);
+        });
+        Object.keys(session.presets).forEach(preset => {
+            session.presets[preset] = Math.round(session.presets[preset]);
+        });
+
+        this.sessions.push(session);
+        if (this.sessions.length > this.limit) {
+            this.sessions.splice(0, this.sessions.length - this.limit);
+        }
+        this.write();
+        return session;
+    }
+
+    static dayKey(date) {
+        return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+    }
+
+    // Totals for the stats view. Times are in seconds.
+    static stats(sessions, today = new Date()) {
+        const stats = {
+            count: sessions.length,
+            total: 0,
+            bands: {},
+            presets: {},
+            timeOfDay: { night: 0, morning: 0, afternoon: 0, evening: 0 },
+            currentStreak: 0,
+            longestStreak: 0
+        };
+        const days = new Set();
+
+        sessions.forEach(session => {
+            const start = new Date(session.start);
+            stats.total += session.duration;
+
+            Object.entries(session.bands || {}).forEach(([band, seconds]) => {
+                stats.bands[band] = (stats.bands[band] || 0) + seconds;
+            });
+            Object.entries(session.presets || {}).forEach(([preset, seconds]) => {
+                stats.presets[preset] = (stats.presets[preset] || 0) + seconds;
+            });
+
+            const hour = start.getHours();
+            const slot = hour < 6 ? 'night' : hour < 12 ? 'morning' : hour < 18 ? 'afternoon' : 'evening';
+            stats.timeOfDay[slot] += session.duration;
+
+            days.add(SessionHistory.dayKey(start));
+        });
+
+        // Streaks are runs of consecutive days with at least one session
+        const sorted = Array.from(days)
+            .map(key => {
+                const [year, month, day] = key.split('-').map(Number);
+                return new Date(year, month - 1, day);
+            })
+            .sort((a, b) => a - b);
+
+        let run = 0;
+        sorted.forEach((day, index) => {
+            const previous = sorted[index - 1];
+            const gap = previous ? Math.round((day - previous) / 86400000) : null;
+            run = gap === 1 ? run + 1 : 1;
+            stats.longestStreak = Math.max(stats.longestStreak, run);
+        });
+
+        // The current streak is still alive if the last session was today or yesterday
+        if (sorted.length) {
+            const midnight = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+            const sinceLast = Math.round((midnight - sorted[sorted.length - 1]) / 86400000);
+            stats.currentStreak = sinceLast <= 1 ? run : 0;
+        }
+
+        return stats;
+    }
+
+    static toJSON(sessions) {
+        return JSON.stringify({ app: 'Bee Neural Beats', exported: new Date().toISOString(), sessions }, null, 2);
+    }
+
+    // One row per session; frequency changes are flattened as t@carrier/beat.
+    // Text that a spreadsheet would read as a formula gets a leading ' instead.
+    static toCSV(sessions) {
+        const escape = (value) => {
+            let text = value === null || value === undefined ? '' : String(value);
+            if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+                text = `'${text}`;
+            }
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const rows = [['start', 'end', 'duration_seconds', 'preset', 'band', 'changes']];
+        sessions.forEach(session => {
+            rows.push([
+                session.start,
+                session.end,
+                session.duration,
+                session.preset,
+                session.band,
+                session.changes.map(change => `${change.t}s@${change.carrier}/${change.beat}Hz ${change.mode}`).join('; ')
+            ]);
+        });
+
+        return rows.map(row => row.map(escape).join(',')).join('\n');
+    }
+}
@@ -0,0 +1,160 @@
+// Multi-stage session programs for Bee Neural Beats
+//
+// A program is a list of stages. Each stage either holds a beat frequency
+// or glides linearly from the previous stage's value to its own target, and
+// may optionally move the carrier the same way. Every oscillator frequency the
+// generator drives (left = carrier - beat/2, an isochronic gate = beat, ...) is
+// linear in both, so a linear ramp on each gives an exact linear glide of the beat.
+// A stage can also pick its breathing pattern (see BreathingPacer).
+export class SessionProgram {
+    constructor(definition) {
+        this.name = definition.name || 'Custom Session';
+        this.carrier = definition.carrier;
+        this.volume = definition.volume;
+        this.noise = definition.noise || null;
+        this.mode = definition.mode || null;
+        this.isochronic = definition.isochronic || null;
+        this.timbre = definition.timbre || null;
+        this.layers = definition.layers || null;
+        this.definition = definition;
+        this.stages = [];
+
+        let start = 0;
+        let beat = definition.stages.length ? definition.stages[0].beat : 10;
+        let carrier = definition.carrier;
+
+        definition.stages.forEach((stage, index) => {
+            const duration = stage.minutes * 60;
+            const endBeat = stage.beat;
+            const endCarrier = stage.carrier !== undefined ? stage.carrier : carrier;
+
+            this.stages.push({
+                index,
+                label: stage.label || (stage.ramp ? `Glide to ${endBeat} Hz` : `Hold ${endBeat} Hz`),
+                ramp: !!stage.ramp,
+                start,
+                end: start + duration,
+                duration,
+                // Hold stages jump straight to their target; ramps start where the last stage ended
+                fromBeat: stage.ramp ? beat : endBeat,
+                fromCarrier: stage.ramp ? carrier : endCarrier,
+                beat: endBeat,
+                carrier: endCarrier,
+                breathing: stage.breathing || null
+            });
+
+            start += duration;
+            beat = endBeat;
+            carrier = endCarrier;
+        });
+
+        this.duration = start;
+    }
+
+    get initialBeat() {
+        return this.stages.length ? this.stages[0].fromBeat : 10;
+    }
+
+    get initialCarrier() {
+        return this.stages.length ? this.stages[0].fromCarrier : this.carrier;
+    }
+
+    stageAt(elapsed) {
+        if (!this.stages.length) return null;
+        const clamped = Math.max(0, Math.min(elapsed, this.duration));
+        return this.stages.find(stage => clamped < stage.end) || this.stages[this.stages.length - 1];
+    }
+
+    // Carrier and beat the program calls for at a given point in the session
+    valueAt(elapsed) {
+        const stage = this.stageAt(elapsed);
+        if (!stage) return { beat: this.initialBeat, carrier: this.carrier };
+
+        if (!stage.ramp || stage.duration === 0) {
+            return { beat: stage.beat, carrier: stage.carrier };
+        }
+
+        const progress = Math.max(0, Math.min(1, (elapsed - stage.start) / stage.duration));
+        return {
+            beat: stage.fromBeat + (stage.beat - stage.fromBeat) * progress,
+            carrier: stage.fromCarrier + (stage.carrier - stage.fromCarrier) * progress
+        };
+    }
+
+    // Number of cycles an oscillator running at frequencyFor(beat, carrier) has
+    // completed by `elapsed` seconds. Offline renders use the fractional part
+    // to start each chunk at the phase the previous chunk ended on.
+    cyclesAt(elapsed, frequencyFor) {
+        let cycles = 0;
+
+        for (const stage of this.stages) {
+            if (elapsed <= stage.start) break;
+
+            const from = frequencyFor(stage.fromBeat, stage.fromCarrier);
+            const to = frequencyFor(stage.beat, stage.carrier);
+            const dt = Math.min(elapsed, stage.end) - stage.start;
+
+            if (stage.ramp && stage.duration > 0) {
+                cycles += from * dt + (to - from) * dt * dt / (2 * stage.duration);
+            } else {
+                cycles += to * dt;
+            }
+        }
+
+        // Past the end the last value is simply held
+        if (elapsed > this.duration) {
+            const last = this.valueAt(this.duration);
+            cycles += frequencyFor(last.beat, last.carrier) * (elapsed - this.duration);
+        }
+
+        return cycles;
+    }
+
+    // Progress info for the session display. Zero-length stages only set
+    // where the next ramp starts, so they aren't counted.
+    statusAt(elapsed) {
+        const stage = this.stageAt(elapsed);
+        const clamped = Math.max(0, Math.min(elapsed, this.duration));
+        const timed = this.stages.filter(item => item.duration > 0);
+        return {
+            stage,
+            stageNumber: stage ? timed.indexOf(stage) + 1 : 0,
+            stageCount: timed.length,
+            stageRemaining: stage ? Math.max(0, stage.end - clamped) : 0,
+            totalRemaining: Math.max(0, this.duration - clamped),
+            progress: this.duration > 0 ? clamped / this.duration : 1,
+            complete: elapsed >= this.duration
+        };
+    }
+
+    // Schedule the rest of the program on a set of frequency params, starting
+    // `offset` seconds into the session at audio time `startTime`. Each target
+    // is { param, frequencyFor(beat, carrier) }.
+    schedule(targets, startTime, offset = 0) {
+        const at = (sessionTime) => startTime + (sessionTime - offset);
+        const setAll = (method, beat, carrier, time) => {
+            targets.forEach(({ param, frequencyFor }) => {
+                param[method](frequencyFor(beat, carrier), time);
+            });
+        };
+
+        targets.forEach(({ param }) => param.cancelScheduledValues(startTime));
+
+        const current = this.valueAt(offset);
+        setAll('setValueAtTime', current.beat, current.carrier, startTime);
+
+        this.stages.forEach(stage => {
+            if (stage.end <= offset) return;
+
+            if (stage.ramp) {
+                // Anchor the ramp so it doesn't start back at the previous hold's start time
+                if (stage.start > offset) {
+                    setAll('setValueAtTime', stage.fromBeat, stage.fromCarrier, at(stage.start));
+                }
+                setAll('linearRampToValueAtTime', stage.beat, stage.carrier, at(stage.end));
+            } else if (stage.start > offset) {
+                setAll('setValueAtTime', stage.beat, stage.carrier, at(stage.start));
+            }
+        });
+    }
+}
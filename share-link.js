@@ -0,0 +1,305 @@
+// Shareable links for Bee Neural Beats
+//
+// Generator state is written to short query parameters, e.g.
+// /?c=432&b=7.83&v=40&mode=binaural. Built-in presets can also be linked by
+// path (/preset/focus), since every path is served the same index.html.
+// Decoding never throws: bad values are dropped or clamped and reported back
+// as notices for the UI to show.
+import { BeatLayers } from './beat-layers.js';
+
+export class ShareLink {
+    static get modes() {
+        return BeatLayers.modes;
+    }
+
+    static get shapes() {
+        return ['hard', 'soft', 'bell'];
+    }
+
+    static round(value) {
+        return Number(value.toFixed(2));
+    }
+
+    static encode(state) {
+        const params = new URLSearchParams();
+
+        if (state.preset) {
+            params.set('p', state.preset);
+        } else {
+            params.set('c', ShareLink.round(state.carrier));
+            params.set('b', ShareLink.round(state.beat));
+        }
+
+        params.set('v', ShareLink.round(state.volume));
+        params.set('mode', state.mode);
+
+        if (state.mode === 'isochronic') {
+            params.set('duty', Math.round(state.isochronic.duty * 100));
+            params.set('shape', state.isochronic.shape);
+        }
+
+        // Timbre: t=triangle, or t=custom:100,50,... (harmonic levels in %)
+        if (state.timbre && state.timbre.type !== 'sine') {
+            params.set('t', state.timbre.type === 'custom'
+                ? `custom:${state.timbre.harmonics.map(level => Math.round(level * 100)).join(',')}`
+                : state.timbre.type);
+        }
+
+        if (state.band && !state.preset && !state.stages) {
+            params.set('band', state.band);
+        }
+
+        params.set('fi', state.fadeIn);
+        params.set('fo', state.fadeOut);
+
+        // Enabled layers only, as type:level:lowpass:highpass
+        const layers = Object.entries(state.noise || {})
+            .filter(([, layer]) => layer.enabled)
+            .map(([type, layer]) => [type, layer.level, Math.round(layer.lowpass), Math.round(layer.highpass)].join(':'));
+        if (layers.length) {
+            params.set('n', layers.join(','));
+        } else if (state.preset) {
+            // Presets bring their own layers, so say explicitly that they were switched off
+            params.set('n', 'none');
+        }
+
+        // Beat layers as carrier:beat:level:mode, plus m (muted) and/or s (solo)
+        const beatLayers = (state.layers || []).map(layer => {
+            const parts = [ShareLink.round(layer.carrier), ShareLink.round(layer.beat), Math.round(layer.gain), layer.mode];
+            const flags = `${layer.muted ? 'm' : ''}${layer.solo ? 's' : ''}`;
+            if (flags) parts.push(flags);
+            return parts.join(':');
+        });
+        if (beatLayers.length) {
+            params.set('l', beatLayers.join(','));
+        } else if (state.preset) {
+            params.set('l', 'none');
+        }
+
+        // Custom programs travel as minutes:beat:h|r[:carrier] stages
+        if (state.stages) {
+            params.set('s', state.stages.map(stage => {
+                const parts = [stage.minutes, stage.beat, stage.ramp ? 'r' : 'h'];
+                if (stage.carrier !== undefined) parts.push(stage.carrier);
+                return parts.join(':');
+            }).join(','));
+        }
+
+        // Colons and commas are safe in a query string and keep links readable
+        return params.toString().replace(/%3A/g, ':').replace(/%2C/g, ',');
+    }
+
+    // Read a link back into a (partial) state. `options` supplies the slider
+    // limits (beat layer levels included), the known band and preset ids, the
+    // timbres and the noise layer types.
+    static decode(location, options) {
+        const params = new URLSearchParams(location.search);
+        const notices = [];
+        const state = {};
+
+        const number = (key, label, limits, unit = '') => {
+            if (!params.has(key)) return undefined;
+
+            const raw = params.get(key);
+            const value = parseFloat(raw);
+            if (!Number.isFinite(value)) {
+                notices.push(`Ignored invalid ${label.toLowerCase()} "${raw}".`);
+                return undefined;
+            }
+
+            const clamped = Math.max(limits.min, Math.min(limits.max, value));
+            if (clamped !== value) {
+                notices.push(`${label} ${value}${unit} is out of range, using ${clamped}${unit}.`);
+            }
+            return clamped;
+        };
+
+        const choice = (key, label, allowed) => {
+            if (!params.has(key)) return undefined;
+
+            const value = params.get(key);
+            if (!allowed.includes(value)) {
+                notices.push(`Ignored unknown ${label} "${value}".`);
+                return undefined;
+            }
+            return value;
+        };
+
+        // Preset: /preset/<id> or ?p=<id>
+        const pathMatch = location.pathname.match(/^\/preset\/([^/]+)\/?$/);
+        const presetId = pathMatch ? decodeURIComponent(pathMatch[1]) : params.get('p');
+        if (presetId) {
+            if (options.presets.includes(presetId)) {
+                state.preset = presetId;
+            } else {
+                notices.push(`Preset "${presetId}" was not found.`);
+            }
+        }
+
+        state.carrier = number('c', 'Carrier', options.limits.carrier, ' Hz');
+        state.beat = number('b', 'Beat', options.limits.beat, ' Hz');
+        state.volume = number('v', 'Volume', options.limits.volume, '%');
+        state.fadeIn = number('fi', 'Fade-in', options.limits.fade, ' s');
+        state.fadeOut = number('fo', 'Fade-out', options.limits.fade, ' s');
+        state.mode = choice('mode', 'mode', ShareLink.modes);
+        state.band = choice('band', 'band', options.bands);
+
+        const duty = number('duty', 'Duty cycle', options.limits.duty, '%');
+        const shape = choice('shape', 'pulse shape', ShareLink.shapes);
+        if (duty !== undefined || shape !== undefined) {
+            state.isochronic = {};
+            if (duty !== undefined) state.isochronic.duty = duty / 100;
+            if (shape !== undefined) state.isochronic.shape = shape;
+        }
+
+        if (params.has('t')) {
+            const [type, levels] = params.get('t').split(':');
+            if (options.timbres.includes(type)) {
+                state.timbre = { type };
+                if (type === 'custom' && levels) {
+                    state.timbre.harmonics = levels.split(',').map(level => (parseFloat(level) || 0) / 100);
+                }
+            } else {
+                notices.push(`Ignored unknown timbre "${type}".`);
+            }
+        }
+
+        if (params.has('n')) {
+            state.noise = ShareLink.decodeNoise(params.get('n'), options.noiseTypes, notices);
+        }
+
+        if (params.has('l')) {
+            state.layers = ShareLink.decodeLayers(params.get('l'), options.limits, notices);
+        }
+
+        if (params.has('s')) {
+            state.stages = ShareLink.decodeStages(params.get('s'), options.limits, notices);
+        }
+
+        // Drop anything that wasn't in the link so it can be applied as-is
+        Object.keys(state).forEach(key => {
+            if (state[key] === undefined) delete state[key];
+        });
+
+        return { state, notices };
+    }
+
+    static decodeNoise(value, types, notices) {
+        const noise = {};
+        if (value === 'none') return noise;
+
+        const clamp = (raw, min, max) => {
+            const number = parseFloat(raw);
+            return Number.isFinite(number) ? Math.max(min, Math.min(max, number)) : undefined;
+        };
+
+        value.split(',').forEach(entry => {
+            const [type, level, lowpass, highpass] = entry.split(':');
+            if (!types.includes(type)) {
+                notices.push(`Ignored unknown background layer "${type}".`);
+                return;
+            }
+
+            noise[type] = { enabled: true };
+            const layer = {
+                level: clamp(level, 0, 100),
+                lowpass: clamp(lowpass, 20, 20000),
+                highpass: clamp(highpass, 20, 20000)
+            };
+            Object.entries(layer).forEach(([key, number]) => {
+                if (number !== undefined) noise[type][key] = number;
+            });
+        });
+
+        return noise;
+    }
+
+    static decodeLayers(value, limits, notices) {
+        const layers = [];
+        if (value === 'none') return layers;
+
+        const clamp = (number, range) => Math.max(range.min, Math.min(range.max, number));
+        let clamped = false;
+        let dropped = false;
+
+        value.split(',').forEach((entry, index) => {
+            if (layers.length >= BeatLayers.maxLayers) {
+                dropped = true;
+                return;
+            }
+
+            const [carrier, beat, gain, mode, flags = ''] = entry.split(':');
+            const layer = {
+                carrier: parseFloat(carrier),
+                beat: parseFloat(beat),
+                gain: parseFloat(gain),
+                mode,
+                muted: flags.includes('m'),
+                solo: flags.includes('s')
+            };
+
+            if (![layer.carrier, layer.beat, layer.gain].every(Number.isFinite)) {
+                notices.push(`Ignored invalid beat layer ${index + 1}.`);
+                return;
+            }
+            if (!BeatLayers.modes.includes(mode)) {
+                notices.push(`Ignored beat layer ${index + 1} with unknown mode "${mode}".`);
+                return;
+            }
+
+            [['carrier', limits.carrier], ['beat', limits.beat], ['gain', limits.layerGain]].forEach(([key, range]) => {
+                const limited = clamp(layer[key], range);
+                if (limited !== layer[key]) clamped = true;
+                layer[key] = limited;
+            });
+            layers.push(layer);
+        });
+
+        if (dropped) {
+            notices.push(`Only the first ${BeatLayers.maxLayers} beat layers were kept.`);
+        }
+        if (clamped) {
+            notices.push('Some beat layer settings were out of range and have been clamped.');
+        }
+
+        return layers.length ? layers : undefined;
+    }
+
+    static decodeStages(value, limits, notices) {
+        const clamp = (number, range) => Math.max(range.min, Math.min(range.max, number));
+        const stages = [];
+        let clamped = false;
+
+        value.split(',').forEach((entry, index) => {
+            const [minutes, beat, kind, carrier] = entry.split(':');
+            const stage = {
+                minutes: parseFloat(minutes),
+                beat: parseFloat(beat),
+                ramp: kind === 'r'
+            };
+
+            if (!(stage.minutes >= 0) || !Number.isFinite(stage.beat)) {
+                notices.push(`Ignored invalid session stage ${index + 1}.`);
+                return;
+            }
+
+            const limited = clamp(stage.beat, limits.beat);
+            if (limited !== stage.beat) clamped = true;
+            stage.beat = limited;
+            stage.minutes = Math.min(stage.minutes, 240);
+
+            if (carrier !== undefined && Number.isFinite(parseFloat(carrier))) {
+                stage.carrier = clamp(parseFloat(carrier), limits.carrier);
+                if (stage.carrier !== parseFloat(carrier)) clamped = true;
+            }
+
+            stages.push(stage);
+        });
+
+        if (clamped) {
+            notices.push('Some session stage frequencies were out of range and have been clamped.');
+        }
+
+        return stages.length ? stages : undefined;
+    }
+}
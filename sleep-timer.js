@@ -0,0 +1,51 @@
+// Sleep timer for Bee Neural Beats
+//
+// Counts down listening time on the audio clock, so it pauses with playback
+// the same way session programs do. The last `tail` seconds are the fade:
+// the generator ramps the volume (and optionally the beat) down over them.
+export class SleepTimer {
+    constructor(minutes, tailMinutes) {
+        this.duration = minutes * 60;
+        this.tail = Math.min(tailMinutes * 60, this.duration);
+        this.offset = 0;
+        this.startedAt = null;
+    }
+
+    get running() {
+        return this.startedAt !== null;
+    }
+
+    start(now) {
+        if (this.startedAt === null) {
+            this.startedAt = now;
+        }
+    }
+
+    pause(now) {
+        if (this.startedAt !== null) {
+            this.offset += now - this.startedAt;
+            this.startedAt = null;
+        }
+    }
+
+    reset() {
+        this.offset = 0;
+        this.startedAt = null;
+    }
+
+    elapsedAt(now) {
+        return this.offset + (this.startedAt !== null ? now - this.startedAt : 0);
+    }
+
+    remainingAt(now) {
+        return Math.max(0, this.duration - this.elapsedAt(now));
+    }
+
+    inTailAt(now) {
+        return this.remainingAt(now) <= this.tail;
+    }
+
+    completeAt(now) {
+        return this.remainingAt(now) <= 0;
+    }
+}
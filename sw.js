@@ -1,33 +1,122 @@
 // Service Worker for Bee Neural Beats
-const CACHE_NAME = 'bee-neural-beats-v1';
+importScripts('/routine-scheduler.js');
+
+// Bump CACHE_VERSION with each release: the changed worker installs alongside
+// the old one, the page offers a reload, and activation drops the old cache
+const CACHE_PREFIX = 'bee-neural-beats-';
+const CACHE_VERSION = 'v8';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+// Kept apart from the app cache so routines survive cache updates
+const ROUTINES_CACHE = `${CACHE_PREFIX}routines`;
 const urlsToCache = [
   '/',
   '/index.html',
+  '/manifest.json',
   '/style.css',
+  '/audio-engine.js',
+  '/session.js',
+  '/waveforms.js',
+  '/beat-layers.js',
+  '/tuning.js',
+  '/noise.js',
+  '/frequency-shifter.js',
+  '/music-player.js',
+  '/preset-store.js',
+  '/sleep-timer.js',
+  '/breathing.js',
+  '/light-entrainment.js',
+  '/audio-keepalive.js',
+  '/calibration.js',
+  '/session-history.js',
+  '/routine-scheduler.js',
+  '/wav-encoder.js',
+  '/analysis.js',
+  '/diagnostics.js',
+  '/share-link.js',
+  '/library-file.js',
+  '/sbagen.js',
   '/script.js',
   '/bee-logo.png'
 ];
 
-// Install event
+const OFFLINE_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>Bee Neural Beats - Offline</title></head>
+<body style="background:#000;color:#FFD700;font-family:sans-serif;text-align:center;padding:40px 20px;">
+<h1>🐝 You're offline</h1>
+<p>Bee Neural Beats needs one visit with a connection before it works offline.</p>
+<p><button onclick="location.reload()">Try Again</button></p>
+</body>
+</html>`;
+
+// Install event: precache the app, bypassing the HTTP cache so a new version never picks up stale files.
+// The new worker then waits until the page asks it to take over (SKIP_WAITING).
 self.addEventListener('install', (event) => {
   event.waitUntil(
     caches.open(CACHE_NAME)
       .then((cache) => {
         console.log('Service Worker: Caching files');
-        return cache.addAll(urlsToCache);
+        return cache.addAll(urlsToCache.map((url) => new Request(url, { cache: 'reload' })));
       })
   );
 });
 
+// Activate event: drop caches from earlier versions and take control of open pages
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((names) => Promise.all(names
+        .filter((name) => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME && name !== ROUTINES_CACHE)
+        .map((name) => {
+          console.log('Service Worker: Deleting old cache', name);
+          return caches.delete(name);
+        })))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Offline with nothing cached: pages get a short explanation, other requests fail cleanly
+function offlineResponse(request) {
+  if (request.mode === 'navigate') {
+    return new Response(OFFLINE_PAGE, {
+      status: 503,
+      headers: { 'Content-Type': 'text/html; charset=utf-8' }
+    });
+  }
+  return new Response('', { status: 503, statusText: 'Offline' });
+}
+
+// Stale-while-revalidate: answer from the cache straight away and refresh the
+// cached copy in the background; anything not cached yet waits for the network
+function staleWhileRevalidate(event, cacheKey) {
+  return caches.open(CACHE_NAME).then((cache) => {
+    const refresh = fetch(event.request).then((response) => {
+      if (response.ok && response.type === 'basic') {
+        return cache.put(cacheKey, response.clone()).then(() => response);
+      }
+      return response;
+    });
+
+    return cache.match(cacheKey).then((cached) => {
+      if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+      }
+      return refresh.catch(() => offlineResponse(event.request));
+    });
+  });
+}
+
 // Fetch event
 self.addEventListener('fetch', (event) => {
-  event.respondWith(
-    caches.match(event.request)
-      .then((response) => {
-        // Return cached version or fetch from network
-        return response || fetch(event.request);
-      })
-  );
+  const request = event.request;
+
+  // Cross-origin and non-GET requests go straight to the network
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  // Shared links (/?c=432..., /preset/focus) all open the same app page
+  const cacheKey = request.mode === 'navigate' ? '/index.html' : request;
+  event.respondWith(staleWhileRevalidate(event, cacheKey));
 });
 
 // Background sync for audio persistence
@@ -47,9 +136,78 @@ self.addEventListener('sync', (event) => {
   }
 });
 
+// Routines: the page sends its list whenever it changes, since workers can't read localStorage
+function saveRoutines(data) {
+  return caches.open(ROUTINES_CACHE)
+    .then((cache) => cache.put('/routines.json', new Response(JSON.stringify(data))));
+}
+
+function loadRoutines() {
+  return caches.open(ROUTINES_CACHE)
+    .then((cache) => cache.match('/routines.json'))
+    .then((response) => response ? response.json() : { routines: [], checkedAt: Date.now() });
+}
+
+function showRoutineNotification(run) {
+  return self.registration.showNotification(`⏰ ${run.routine.name}`, {
+    body: `Time for ${run.routine.program || run.routine.name} (${run.routine.time}). Tap to start.`,
+    tag: `routine-${RoutineScheduler.runKey(run)}`,
+    icon: '/bee-logo.png',
+    data: { routine: run.routine.id, due: run.due }
+  });
+}
+
+// Periodic check while the app is closed; an open app prompts for itself. Only
+// installed apps in some browsers get periodic syncs, and the browser picks
+// the interval (often hours), so these notifications are best-effort.
+function checkRoutines() {
+  return Promise.all([loadRoutines(), self.clients.matchAll({ type: 'window' })])
+    .then(([data, clients]) => {
+      const now = Date.now();
+      const runs = RoutineScheduler.occurrences(data.routines, data.checkedAt, now)
+        .filter((run) => now - run.due <= 60 * 60 * 1000);
+      const due = clients.length || Notification.permission !== 'granted' ? [] : runs.slice(-1);
+
+      return saveRoutines({ ...data, checkedAt: now })
+        .then(() => Promise.all(due.map((run) => showRoutineNotification(run))));
+    });
+}
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === 'routine-check') {
+    event.waitUntil(checkRoutines());
+  }
+});
+
+// Tapping a routine notification hands the run to the app, opening it if needed
+self.addEventListener('notificationclick', (event) => {
+  const data = event.notification.data;
+  event.notification.close();
+  if (!data || !data.routine) return;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+      if (clients.length) {
+        clients[0].postMessage({ type: 'START_ROUTINE', routine: data.routine, due: data.due });
+        return clients[0].focus();
+      }
+      return self.clients.openWindow(`/#routine=${encodeURIComponent(data.routine)}@${data.due}`);
+    })
+  );
+});
+
 // Handle messages from main thread
 self.addEventListener('message', (event) => {
   if (event.data && event.data.type === 'SKIP_WAITING') {
     self.skipWaiting();
   }
+
+  if (event.data && event.data.type === 'ROUTINES') {
+    const { routines, checkedAt } = event.data;
+    event.waitUntil(saveRoutines({ routines, checkedAt }));
+  }
+
+  if (event.data && event.data.type === 'NOTIFY_ROUTINE') {
+    event.waitUntil(showRoutineNotification(event.data.run));
+  }
 });
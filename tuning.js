@@ -0,0 +1,72 @@
+// Carrier references and musical tuning for Bee Neural Beats
+//
+// Notes are equal-tempered around a chosen A4 (440 Hz concert pitch or the
+// 432 Hz "Verdi" tuning). MIDI note numbers are used internally: A4 = 69.
+export class Tuning {
+    static get noteNames() {
+        return ['C', 'C♯', 'D', 'D♯', 'E', 'F', 'F♯', 'G', 'G♯', 'A', 'A♯', 'B'];
+    }
+
+    static get carrierLibrary() {
+        return [
+            { group: 'Solfeggio', name: 'Foundation', frequency: 174 },
+            { group: 'Solfeggio', name: 'Restoration', frequency: 285 },
+            { group: 'Solfeggio', name: 'Liberation (UT)', frequency: 396 },
+            { group: 'Solfeggio', name: 'Change (RE)', frequency: 417 },
+            { group: 'Solfeggio', name: 'Transformation (MI)', frequency: 528 },
+            { group: 'Solfeggio', name: 'Connection (FA)', frequency: 639 },
+            { group: 'Solfeggio', name: 'Expression (SOL)', frequency: 741 },
+            { group: 'Solfeggio', name: 'Intuition (LA)', frequency: 852 },
+            { group: 'Solfeggio', name: 'Awakening (SI)', frequency: 963 },
+            { group: 'Tuning References', name: 'Verdi A (A4 = 432)', frequency: 432 },
+            { group: 'Tuning References', name: 'Concert A (A4 = 440)', frequency: 440 },
+            { group: 'Tuning References', name: 'Scientific C (C4 = 256)', frequency: 256 },
+            { group: 'Cosmic Octave', name: 'OM / Earth Year', frequency: 136.1 },
+            { group: 'Cosmic Octave', name: 'Earth Day', frequency: 194.18 },
+            { group: 'Cosmic Octave', name: 'Synodic Moon', frequency: 210.42 },
+            { group: 'Cosmic Octave', name: 'Sun', frequency: 126.22 }
+        ];
+    }
+
+    static noteNumber(frequency, a4 = 440) {
+        return 69 + 12 * Math.log2(frequency / a4);
+    }
+
+    static noteFrequency(number, a4 = 440) {
+        return a4 * Math.pow(2, (number - 69) / 12);
+    }
+
+    // Nearest note to a frequency: { name, frequency, cents } with cents in -50..50
+    static nearestNote(frequency, a4 = 440) {
+        if (!(frequency > 0)) return null;
+
+        const exact = Tuning.noteNumber(frequency, a4);
+        const number = Math.round(exact);
+        const octave = Math.floor(number / 12) - 1;
+        return {
+            name: `${Tuning.noteNames[((number % 12) + 12) % 12]}${octave}`,
+            frequency: Tuning.noteFrequency(number, a4),
+            cents: (exact - number) * 100
+        };
+    }
+
+    static snap(frequency, a4 = 440) {
+        const note = Tuning.nearestNote(frequency, a4);
+        return note ? note.frequency : frequency;
+    }
+
+    // "A4", "C♯5 +12¢", "G3 −31¢"
+    static formatNote(frequency, a4 = 440) {
+        const note = Tuning.nearestNote(frequency, a4);
+        if (!note) return '';
+
+        const cents = Math.round(note.cents);
+        if (cents === 0) return note.name;
+        return `${note.name} ${cents > 0 ? '+' : '−'}${Math.abs(cents)}¢`;
+    }
+
+    // Frequencies without trailing zeros: 400, 136.1, 523.25
+    static formatFrequency(frequency, decimals = 2) {
+        return `${parseFloat(frequency.toFixed(decimals))}`;
+    }
+}
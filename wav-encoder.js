@@ -0,0 +1,86 @@
+// Streaming PCM WAV encoder for Bee Neural Beats exports
+//
+// Audio is encoded chunk by chunk so long sessions never need the whole
+// render held as float data. The header is written last, once the total
+// frame count is known, and the parts are stitched together into a Blob.
+export class WavEncoder {
+    constructor(sampleRate, channels = 2, bitDepth = 16) {
+        if (bitDepth !== 16 && bitDepth !== 24) {
+            throw new Error(`Unsupported bit depth: ${bitDepth}`);
+        }
+
+        this.sampleRate = sampleRate;
+        this.channels = channels;
+        this.bitDepth = bitDepth;
+        this.bytesPerSample = bitDepth / 8;
+        this.parts = [];
+        this.frames = 0;
+    }
+
+    // Append an AudioBuffer's samples as interleaved little-endian PCM
+    encodeChunk(audioBuffer) {
+        const frames = audioBuffer.length;
+        const channelData = [];
+        for (let c = 0; c < this.channels; c++) {
+            channelData.push(audioBuffer.getChannelData(Math.min(c, audioBuffer.numberOfChannels - 1)));
+        }
+
+        const bytes = new Uint8Array(frames * this.channels * this.bytesPerSample);
+        const view = new DataView(bytes.buffer);
+        const max = this.bitDepth === 16 ? 0x7FFF : 0x7FFFFF;
+        let offset = 0;
+
+        for (let i = 0; i < frames; i++) {
+            for (let c = 0; c < this.channels; c++) {
+                const sample = Math.max(-1, Math.min(1, channelData[c][i]));
+                const value = Math.round(sample * max);
+
+                if (this.bitDepth === 16) {
+                    view.setInt16(offset, value, true);
+                } else {
+                    bytes[offset] = value & 0xFF;
+                    bytes[offset + 1] = (value >> 8) & 0xFF;
+                    bytes[offset + 2] = (value >> 16) & 0xFF;
+                }
+                offset += this.bytesPerSample;
+            }
+        }
+
+        // Blob parts can be paged out by the browser instead of sitting on the JS heap
+        this.parts.push(new Blob([bytes]));
+        this.frames += frames;
+    }
+
+    createHeader() {
+        const blockAlign = this.channels * this.bytesPerSample;
+        const dataSize = this.frames * blockAlign;
+        const header = new ArrayBuffer(44);
+        const view = new DataView(header);
+
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) {
+                view.setUint8(offset + i, text.charCodeAt(i));
+            }
+        };
+
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true); // PCM
+        view.setUint16(22, this.channels, true);
+        view.setUint32(24, this.sampleRate, true);
+        view.setUint32(28, this.sampleRate * blockAlign, true);
+        view.setUint16(32, blockAlign, true);
+        view.setUint16(34, this.bitDepth, true);
+        writeString(36, 'data');
+        view.setUint32(40, dataSize, true);
+
+        return header;
+    }
+
+    toBlob() {
+        return new Blob([this.createHeader(), ...this.parts], { type: 'audio/wav' });
+    }
+}
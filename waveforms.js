@@ -0,0 +1,144 @@
+// Oscillator waveforms for Bee Neural Beats
+//
+// Waves are kept as Fourier coefficients ({ real, imag }, index = harmonic)
+// so they can be phase-shifted for seamless offline chunks and handed to
+// createPeriodicWave. `offset` carries the DC level, which PeriodicWave ignores.
+export class Waveforms {
+    static sine() {
+        return { real: new Float32Array([0, 0]), imag: new Float32Array([0, 1]), offset: 0 };
+    }
+
+    // Carrier timbres as harmonic amplitudes (index 0 = fundamental).
+    // 'soft triangle' is the triangle series stopped at the 7th harmonic.
+    static get timbres() {
+        return {
+            sine: { label: 'Sine', harmonics: [1] },
+            triangle: { label: 'Soft Triangle', harmonics: [1, 0, -1 / 9, 0, 1 / 25, 0, -1 / 49] },
+            custom: { label: 'Custom', harmonics: [1, 0.5, 0.33, 0.25, 0.2, 0.17, 0.14, 0.12] }
+        };
+    }
+
+    static get maxHarmonics() {
+        return 8;
+    }
+
+    static harmonicsFor(timbre = {}) {
+        if (timbre.type === 'custom' && Array.isArray(timbre.harmonics)) {
+            return Array.from({ length: Waveforms.maxHarmonics }, (_, index) =>
+                Math.max(0, Math.min(1, Number(timbre.harmonics[index]) || 0)));
+        }
+        const preset = Waveforms.timbres[timbre.type] || Waveforms.timbres.sine;
+        return preset.harmonics.slice();
+    }
+
+    // One period of the summed harmonics, for drawing and peak measurement
+    static timbreTable(harmonics, samples = 512) {
+        const table = new Float32Array(samples);
+        for (let n = 0; n < samples; n++) {
+            const t = n / samples;
+            let value = 0;
+            harmonics.forEach((level, index) => {
+                value += level * Math.sin(2 * Math.PI * (index + 1) * t);
+            });
+            table[n] = value;
+        }
+        return table;
+    }
+
+    // Harmonics as separately played partials, scaled so the summed wave
+    // peaks at 1 like a plain sine. `all` keeps silent harmonics too, so a
+    // custom timbre can be edited live by changing partial levels only.
+    static partials(timbre, all = false) {
+        const harmonics = Waveforms.harmonicsFor(timbre);
+        const table = Waveforms.timbreTable(harmonics);
+        const peak = table.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+        const scale = peak > 0 ? 1 / peak : 0;
+
+        const partials = harmonics
+            .map((level, index) => ({ harmonic: index + 1, level: level * scale }))
+            .filter(partial => all || partial.level !== 0);
+        return partials.length ? partials : [{ harmonic: 1, level: 1 }];
+    }
+
+    // Isochronic gate: 0..1 pulse train with the given duty cycle (0-1).
+    // Shapes: 'hard' square pulse, 'soft' cosine edges, 'bell' sin² swell.
+    static gate(duty, shape = 'soft', harmonics = 32) {
+        const samples = 2048;
+        const table = new Float32Array(samples);
+        const edge = duty * 0.2;
+
+        for (let n = 0; n < samples; n++) {
+            const t = n / samples;
+            let value = 0;
+
+            if (t < duty) {
+                if (shape === 'hard') {
+                    value = 1;
+                } else if (shape === 'bell') {
+                    value = Math.pow(Math.sin(Math.PI * t / duty), 2);
+                } else if (t < edge) {
+                    value = 0.5 - 0.5 * Math.cos(Math.PI * t / edge);
+                } else if (t > duty - edge) {
+                    value = 0.5 - 0.5 * Math.cos(Math.PI * (duty - t) / edge);
+                } else {
+                    value = 1;
+                }
+            }
+
+            table[n] = value;
+        }
+
+        return Waveforms.fromTable(table, harmonics);
+    }
+
+    // Fourier series of one period of samples, with Lanczos smoothing to tame
+    // the overshoot a truncated series would otherwise add to sharp edges
+    static fromTable(table, harmonics) {
+        const length = table.length;
+        const real = new Float32Array(harmonics + 1);
+        const imag = new Float32Array(harmonics + 1);
+        let offset = 0;
+
+        for (let n = 0; n < length; n++) {
+            offset += table[n];
+        }
+        offset /= length;
+
+        for (let k = 1; k <= harmonics; k++) {
+            let a = 0;
+            let b = 0;
+            for (let n = 0; n < length; n++) {
+                const angle = 2 * Math.PI * k * n / length;
+                a += table[n] * Math.cos(angle);
+                b += table[n] * Math.sin(angle);
+            }
+
+            const x = Math.PI * k / (harmonics + 1);
+            const sigma = Math.sin(x) / x;
+            real[k] = 2 * a / length * sigma;
+            imag[k] = 2 * b / length * sigma;
+        }
+
+        return { real, imag, offset };
+    }
+
+    // Same wave started `phase` cycles in: harmonic k rotates by k·phase
+    static phaseShift(wave, phase) {
+        const real = new Float32Array(wave.real.length);
+        const imag = new Float32Array(wave.imag.length);
+
+        for (let k = 1; k < wave.real.length; k++) {
+            const angle = 2 * Math.PI * k * phase;
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            real[k] = wave.real[k] * cos + wave.imag[k] * sin;
+            imag[k] = wave.imag[k] * cos - wave.real[k] * sin;
+        }
+
+        return { real, imag, offset: wave.offset };
+    }
+
+    static toPeriodicWave(context, wave) {
+        return context.createPeriodicWave(wave.real, wave.imag, { disableNormalization: true });
+    }
+}